@@ -1,119 +1,279 @@
-const BAD_WORDS = [
-  // Français
-  'pute', 'putain', 'putes', 'putes',
-  'chatte', 'chattes',
-  'con', 'conne', 'connards', 'connes',
-  'enculé', 'enculée', 'enculer', 'enculés', 'enculées',
-  'merde', 'merdes',
-  'salope', 'salopes',
-  'catin',
-  'garce', 'garces',
-  'pétasse', 'pétasses',
-  'prostituée', 'prostituées', 'puteuse', 'puteuses',
-  'bite', 'bites',
-  'couille', 'couilles',
-  'nichon', 'nichons', 'teton', 'tetons', 'sein', 'seins',
-  'foutre', 'niquer', 'nique',
-  'ta race', 'ta_gueule', 'ta geule', 'dégage', 'tg',
-  'fdp', 'fils de pute',
-  'ntm', 'nique ta mère',
-  'pd', 'pds', 'pédé', 'pede', 'pedé',
-  'tgv', 't球的',
-  'batar', 'batard', 'bâtard', 'bâtarde',
-  'abruti', 'abrutie', 'abrutis', 'abruties',
-  'débile', 'débiles', 'idiot', 'idiote', 'idiots', 'idiotes',
-  'imbécile', 'imbéciles',
-  'crétin', 'crétine', 'crétins', 'crétines',
-  'ordure', 'ordures',
-  'parasite', 'parasites',
-  'vermine',
-  'malade', 'malades',
-  'taré', 'tarée', 'tarés', 'tarées',
-  'dégueulasse', 'dégoûtant', 'dégoûtante',
-  'infect', 'infecte', 'infects', 'infectes',
-  'abject', 'abjecte',
-  'ignoble',
-  'stupide', 'stupides',
-  'bête', 'bêtes',
-  'vache', 'vaches',
-  'cochon', 'cochonne', 'cochons', 'cochonnes',
-  'porc', 'porcs',
-  'cancre',
-  'branleur', 'branleuse', 'branleurs',
-  'enculeur', 'enculeuse',
-  'casse-couille', 'casse-couilles',
-  'salaud', 'salope',
-  'gueule', 'ta gueule',
-  'ramollo', 'ramollos',
-  'brèle', 'brèles',
-  'branque',
-  'cloche', 'clochard',
-  'gogol', 'gogole',
-  'gland', 'glands', 'glander',
-  'bouffon', 'bouffonne',
-  'pleureuse', 'pleureuses',
-  'fracas',
-  'moche', 'moches',
-  'laid', 'laide', 'laids', 'laides',
-  'trivial', 'triviaux',
-  'vulgaire',
-  'obscène',
-  'dégoût', 'dégout',
-  'pervers', 'pervers', 'perverse',
-  'nazi', 'nazis',
-  'fasciste', 'fascistes',
-
-  // Anglais
-  'shit', 'shits', 'shitted', 'shitting',
-  'fuck', 'fucks', 'fucked', 'fucking', 'fucked',
-  'fuckyou', 'fuck you', 'fuckyous',
-  'ass', 'asses', 'asshole', 'assholes', 'dumbass', 'dumbass',
-  'bitch', 'bitches', 'bitchy',
-  'bastard', 'bastards',
-  'dick', 'dicks', 'dickhead',
-  'cock', 'cocks', 'cockhead',
-  'pussy', 'pussies',
-  'cunt', 'cunts',
-  'whore', 'whores', 'hooker', 'hookers',
-  'slut', 'sluts', 'slutty',
-  'nigger', 'niggers', 'nigga', 'niggas',
-  'faggot', 'faggots', 'fag', 'fags',
-  'retard', 'retards', 'retarded',
-  'crap', 'craps',
-  'damn', 'damned', 'dammit',
-  'hell', 'hell',
-  'piss', 'pissed',
-  'douche', 'douches', 'douchebag',
-  'cunt',
-  'wank', 'wanks', 'wanker',
-  'twat',
-  'bugger',
-  'bollocks',
-  'arsehole', 'arse',
-  'sob',
-  'sodomite',
-
-  // Espagnol
-  'joder', 'mierda', 'puta', 'puto', 'coño', 'cabron', 'cabrón', 'culo', 'marica', 'maricón',
+// Filtre des propos grossiers : pseudos, noms de quiz et réponses libres projetées.
+// Pseudos et réponses passent par les listes complètes (insultes comprises), les faux positifs
+// se règlent par les mots autorisés ; les noms de quiz par une liste bien plus courte, pour ne
+// pas bloquer « La vache et le lait » ou « Cancer du sein ».
+// La comparaison se fait mot à mot (un terme ne bloque pas un mot qui le contient : « con »
+// laisse passer « Constance »), après normalisation des accents, du leetspeak, des lettres
+// répétées (« fuuuck ») et des lettres espacées (« f u c k »).
+//
+// Syntaxe des termes : un mot (« merde »), une expression (« ta gueule »), ou un mot avec
+// joker en début et/ou fin (« encul* » pour tous les mots qui commencent ainsi, « *fuck* »
+// pour ceux qui le contiennent).
+//
+// Fichier de configuration facultatif (BADWORDS_FILE), lu au démarrage :
+//   { "languages": ["fr", "en"],               listes intégrées utilisées (défaut : toutes)
+//     "words":     { "fr": [...], "de": [...] }, ajouts par langue, nouvelles langues comprises
+//     "blocked":   [...],                      termes bloqués de départ
+//     "allowed":   [...] }                     mots toujours acceptés de départ
+// Les termes modifiés depuis l'administration (customTerms, setCustomTerms) sont enregistrés
+// par le serveur dans le stockage, commun à toutes les instances.
+
+const fs = require('fs');
+
+const WORD_LISTS = {
+  fr: [
+    'pute', 'putes', 'putain*', 'chatte', 'chattes',
+    'con', 'conne', 'connes', 'connard*', 'connasse', 'connasses',
+    'encul*', 'merde', 'merdes', 'merdique', 'salope', 'salopes', 'salop*', 'salaud', 'salauds',
+    'catin', 'garce', 'garces', 'pétasse', 'pétasses',
+    'prostituée', 'prostituées', 'puteuse', 'puteuses',
+    'bite', 'bites', 'couille', 'couilles', 'casse couille', 'casse couilles',
+    'nichon', 'nichons', 'teton', 'tetons', 'sein', 'seins',
+    'foutre', 'niquer', 'nique', 'nique ta mère', 'ntm', 'ta race', 'ta gueule', 'ta geule', 'tg', 'dégage',
+    'fdp', 'fils de pute', 'pd', 'pds', 'pédé', 'pédés', 'pede',
+    'batard*', 'bâtarde', 'abruti', 'abrutie', 'abrutis', 'abruties',
+    'débile', 'débiles', 'idiot', 'idiote', 'idiots', 'idiotes', 'imbécile', 'imbéciles',
+    'crétin', 'crétine', 'crétins', 'crétines', 'ordure', 'ordures', 'parasite', 'parasites', 'vermine',
+    'malade', 'malades', 'taré', 'tarée', 'tarés', 'tarées',
+    'dégueulasse', 'dégoûtant', 'dégoûtante', 'infect', 'infecte', 'infects', 'infectes',
+    'abject', 'abjecte', 'ignoble', 'stupide', 'stupides', 'bête', 'bêtes', 'vache', 'vaches',
+    'cochon', 'cochonne', 'cochons', 'cochonnes', 'porc', 'porcs', 'cancre',
+    'branleur', 'branleuse', 'branleurs', 'gueule', 'ramollo', 'ramollos', 'brèle', 'brèles', 'branque',
+    'clochard', 'gogol', 'gogole', 'gland', 'glands', 'glandeur', 'bouffon', 'bouffonne',
+    'moche', 'moches', 'obscène', 'pervers', 'perverse', 'nazi', 'nazis', 'fasciste', 'fascistes',
+  ],
+  en: [
+    '*fuck*', 'shit', 'shits', 'shitted', 'shitting', 'shithead',
+    'ass', 'asses', 'asshole', 'assholes', 'dumbass', 'arse', 'arsehole',
+    'bitch*', 'bastard', 'bastards', 'dick', 'dicks', 'dickhead', 'cock', 'cocks', 'cockhead',
+    'pussy', 'pussies', 'cunt', 'cunts', 'whore', 'whores', 'hooker', 'hookers', 'slut', 'sluts', 'slutty',
+    '*nigg*', 'faggot', 'faggots', 'fag', 'fags', 'retard', 'retards', 'retarded',
+    'crap', 'damn', 'dammit', 'piss', 'pissed', 'douche', 'douchebag', 'wank', 'wanker', 'twat',
+    'bugger', 'bollocks', 'sodomite', 'son of a bitch',
+  ],
+  es: [
+    'joder', 'mierda', 'puta', 'puto', 'coño', 'cabron', 'cabrón', 'culo', 'marica', 'maricón',
+    'gilipollas', 'pendejo', 'hijo de puta',
+  ],
+};
+
+// Contenu des quiz : seulement les termes qui n'ont aucun autre sens
+const CONTENT_WORD_LISTS = {
+  fr: [
+    'pute', 'putes', 'putain*', 'salope', 'salopes', 'encul*', 'connard*', 'connasse', 'connasses',
+    'fdp', 'fils de pute', 'nique ta mère', 'ntm', 'pédé', 'pédés',
+  ],
+  en: [
+    '*fuck*', 'shithead', 'asshole', 'assholes', 'cunt', 'cunts', 'whore', 'whores', 'slut', 'sluts',
+    '*nigg*', 'faggot', 'faggots', 'dickhead', 'wanker', 'son of a bitch',
+  ],
+  es: [
+    'puta', 'hijo de puta', 'gilipollas', 'maricón',
+  ],
+};
+
+// Mots courants dont les lettres doublées, une fois réduites, donnent un terme bloqué
+// (« Bitte » n'est pas « bite ») ou qui contiennent un terme à joker (« niggle »)
+const ALLOWED_WORDS = [
+  'bitte', 'bette', 'coon', 'coons', 'conn', 'putto',
+  'niggle', 'niggles', 'niggling', 'snigger', 'sniggers', 'sniggering',
 ];
 
+const MAX_TERM_LENGTH = 40;
+const MAX_TERMS       = 500; // par liste personnalisée
+
+const LEET = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g', '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e' };
+
+// Texte → minuscules sans accents ; « JeanMerde » devient « jean merde »
 function normalizeForFilter(str) {
-  return str
+  return String(str ?? '')
+    .replace(/(\p{Ll})(\p{Lu})/gu, '$1 $2')
     .toLowerCase()
     .normalize('NFD')
     .replace(/[\u0300-\u036f]/g, '')
-    .replace(/0/g, 'o')
-    .replace(/1/g, 'i')
-    .replace(/3/g, 'e')
-    .replace(/4/g, 'a')
-    .replace(/5/g, 's')
-    .replace(/\$/g, 's')
-    .replace(/\s+/g, '');
+    .replace(/œ/g, 'oe').replace(/æ/g, 'ae').replace(/ß/g, 'ss');
+}
+
+function splitWords(str) {
+  return str.split(/[^a-z]+/).filter(Boolean);
+}
+
+// Mots du texte : avec et sans leetspeak (« c0n » comme « con! »), plus les lettres
+// isolées recollées (« f.u.c.k »)
+function textTokens(str) {
+  const normal   = normalizeForFilter(str);
+  const variants = [normal.replace(/[0-9@$!|+€]/g, c => LEET[c] || ' '), normal];
+  const tokens   = [];
+  variants.forEach(v => {
+    const words = splitWords(v);
+    tokens.push(words);
+    const joined = [];
+    let run = '';
+    words.forEach(w => {
+      if (w.length === 1) { run += w; return; }
+      if (run.length > 1) joined.push(run);
+      run = '';
+    });
+    if (run.length > 1) joined.push(run);
+    if (joined.length) tokens.push(joined);
+  });
+  return tokens; // listes de mots consécutifs
+}
+
+const squeeze    = word => word.replace(/(.)\1+/g, '$1');
+const hasRepeats = word => /(.)\1/.test(word);
+
+// Un mot aux lettres répétées est comparé une fois ses répétitions réduites (« fuuuck »,
+// « merrrde ») ; un mot sans répétition doit être identique (« as » n'est pas « ass »)
+function sameWord(token, word) {
+  return token === word || (hasRepeats(token) && squeeze(token) === squeeze(word));
+}
+
+// Terme → { words } (mot ou expression) ou { test } (mot avec joker)
+function compileTerm(term) {
+  const [, start, body, end] = normalizeForFilter(term).trim().match(/^(\*?)(.*?)(\*?)$/);
+  const words = splitWords(body);
+  if (!words.length) return null;
+  if (!(start || end) || words.length > 1) return { words };
+  const has = (token, core) => start && end ? token.includes(core) : start ? token.endsWith(core) : token.startsWith(core);
+  return { test: token => has(token, words[0]) || (hasRepeats(token) && has(squeeze(token), squeeze(words[0]))) };
+}
+
+// Filtre autonome : blocked et allowed sont des listes de termes. Un mot autorisé doit être
+// écrit tel quel : autoriser « bitte » ne laisse pas passer « biiite »
+function createFilter({ blocked = [], allowed = [] } = {}) {
+  const terms   = blocked.map(term => ({ term, ...compileTerm(term) })).filter(t => t.words || t.test);
+  const allowOk = new Set(allowed.map(compileTerm).filter(t => t && t.words && t.words.length === 1).map(t => t.words[0]));
+  const isAllowed = token => allowOk.has(token);
+
+  function matchAt(words, i, term) {
+    if (term.test) return !isAllowed(words[i]) && term.test(words[i]);
+    if (i + term.words.length > words.length) return false;
+    if (term.words.length === 1 && isAllowed(words[i])) return false;
+    return term.words.every((w, k) => sameWord(words[i + k], w));
+  }
+
+  // Termes trouvés dans le texte (pour l'administration), sans doublon
+  function findBadWords(str) {
+    const found = new Set();
+    textTokens(str).forEach(words => {
+      words.forEach((_, i) => terms.forEach(t => { if (matchAt(words, i, t)) found.add(t.term); }));
+    });
+    return [...found];
+  }
+
+  function hasBadWord(str) {
+    return textTokens(str).some(words => words.some((_, i) => terms.some(term => matchAt(words, i, term))));
+  }
+
+  return { hasBadWord, findBadWords };
+}
+
+// ─── Configuration partagée ───
+let config = { languages: Object.keys(WORD_LISTS), words: {}, blocked: [], allowed: [] };
+let filter = buildFilter();
+let contentFilter = buildContentFilter();
+
+function buildFilter() {
+  const blocked = [];
+  config.languages.forEach(lang => blocked.push(...(WORD_LISTS[lang] || []), ...(config.words[lang] || [])));
+  Object.keys(config.words).filter(lang => !config.languages.includes(lang)).forEach(lang => blocked.push(...config.words[lang]));
+  blocked.push(...config.blocked);
+  return createFilter({ blocked: [...new Set(blocked)], allowed: [...ALLOWED_WORDS, ...config.allowed] });
+}
+
+// Les termes bloqués depuis l'administration ne visent pas les noms de quiz
+function buildContentFilter() {
+  const blocked = config.languages.flatMap(lang => CONTENT_WORD_LISTS[lang] || []);
+  return createFilter({ blocked, allowed: [...ALLOWED_WORDS, ...config.allowed] });
+}
+
+function rebuildFilters() {
+  filter        = buildFilter();
+  contentFilter = buildContentFilter();
+}
+
+function sanitizeTerm(term) {
+  if (typeof term !== 'string') return null;
+  const clean = term.replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_TERM_LENGTH);
+  return clean && compileTerm(clean) ? clean : null;
+}
+
+function sanitizeTerms(list) {
+  return [...new Set((Array.isArray(list) ? list : []).map(sanitizeTerm).filter(Boolean))].slice(0, MAX_TERMS);
+}
+
+// Lit le fichier de configuration (absent : listes intégrées seules)
+function loadFilterConfig(file) {
+  let data = {};
+  if (fs.existsSync(file)) data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const words = {};
+  Object.entries(data.words && typeof data.words === 'object' ? data.words : {})
+    .forEach(([lang, list]) => { if (/^[a-z]{2}$/.test(lang)) words[lang] = sanitizeTerms(list); });
+  config = {
+    languages: Array.isArray(data.languages) ? data.languages.filter(l => WORD_LISTS[l]) : Object.keys(WORD_LISTS),
+    words,
+    blocked:   sanitizeTerms(data.blocked),
+    allowed:   sanitizeTerms(data.allowed),
+  };
+  rebuildFilters();
+  return filterConfig();
+}
+
+function filterConfig() {
+  return {
+    languages: config.languages,
+    available: Object.keys(WORD_LISTS),
+    words:     config.words,
+    blocked:   config.blocked,
+    allowed:   config.allowed,
+  };
+}
+
+// Termes de l'administration, tels qu'enregistrés ou relus depuis le stockage
+function customTerms() {
+  return { blocked: config.blocked, allowed: config.allowed };
+}
+
+function setCustomTerms({ blocked, allowed } = {}) {
+  config = { ...config, blocked: sanitizeTerms(blocked), allowed: sanitizeTerms(allowed) };
+  rebuildFilters();
+}
+
+// list : 'blocked' ou 'allowed' ; renvoie le terme nettoyé
+function addTerm(list, term) {
+  const clean = sanitizeTerm(term);
+  if (!clean) throw new Error('Terme invalide');
+  if (config[list].includes(clean)) return clean;
+  if (config[list].length >= MAX_TERMS) throw new Error(`Liste pleine (max ${MAX_TERMS} termes)`);
+  config[list] = [...config[list], clean];
+  rebuildFilters();
+  return clean;
+}
+
+function removeTerm(list, term) {
+  const clean = sanitizeTerm(term);
+  if (!clean || !config[list].includes(clean)) return false;
+  config[list] = config[list].filter(t => t !== clean);
+  rebuildFilters();
+  return true;
 }
 
 function hasBadWord(str) {
-  const normalized = normalizeForFilter(str);
-  return BAD_WORDS.some(bad => normalized.includes(normalizeForFilter(bad)));
+  return filter.hasBadWord(str);
+}
+
+function findBadWords(str) {
+  return filter.findBadWords(str);
+}
+
+// Noms de quiz
+function hasOffensiveContent(str) {
+  return contentFilter.hasBadWord(str);
 }
 
-module.exports = { BAD_WORDS, hasBadWord };
\ No newline at end of file
+module.exports = {
+  WORD_LISTS, CONTENT_WORD_LISTS,
+  createFilter, hasBadWord, findBadWords, hasOffensiveContent,
+  loadFilterConfig, filterConfig, customTerms, setCustomTerms, addTerm, removeTerm,
+};
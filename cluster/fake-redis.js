@@ -0,0 +1,86 @@
+// Remplaçant de Redis dans le processus, pour faire dialoguer plusieurs instances de cluster/redis.js
+// sans serveur (essais, démonstrations). Seules les commandes qu'elles utilisent existent :
+// get, set (EX, NX), expire, del, hset, hgetall, hdel, publish, subscribe, quit.
+//
+//   const { createClient } = createFakeRedis();
+//   const a = createCluster({ ...clusterConfig(), kind: 'redis', instanceId: 'a' }, { createClient });
+//   const b = createCluster({ ...clusterConfig(), kind: 'redis', instanceId: 'b' }, { createClient });
+//
+// now (facultatif) : horloge des expirations, que les essais avancent pour faire expirer les clés
+
+const { EventEmitter } = require('events');
+
+function createFakeRedis({ now = Date.now } = {}) {
+  const values = new Map(); // clé → { value, expiresAt }
+  const hashes = new Map(); // clé → Map champ → valeur
+  const bus    = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  function read(key) {
+    const entry = values.get(key);
+    if (entry && entry.expiresAt && entry.expiresAt <= now()) values.delete(key);
+    return values.has(key) ? values.get(key).value : null;
+  }
+
+  function createClient() {
+    const client   = new EventEmitter();
+    const channels = new Set();
+    const deliver  = (channel, message) => {
+      if (channels.has(channel)) setImmediate(() => client.emit('message', channel, message));
+    };
+
+    Object.assign(client, {
+      async get(key) {
+        return read(key);
+      },
+      // set(clé, valeur[, 'EX', secondes][, 'NX'])
+      async set(key, value, ...options) {
+        const upper = options.map(o => String(o).toUpperCase());
+        if (upper.includes('NX') && read(key) !== null) return null;
+        const ex = upper.indexOf('EX');
+        values.set(key, { value: String(value), expiresAt: ex === -1 ? null : now() + Number(options[ex + 1]) * 1000 });
+        return 'OK';
+      },
+      async expire(key, seconds) {
+        if (read(key) === null) return 0;
+        values.get(key).expiresAt = now() + Number(seconds) * 1000;
+        return 1;
+      },
+      async del(...keys) {
+        return keys.filter(key => values.delete(key)).length;
+      },
+      async hset(key, field, value) {
+        if (!hashes.has(key)) hashes.set(key, new Map());
+        hashes.get(key).set(field, String(value));
+        return 1;
+      },
+      async hgetall(key) {
+        return Object.fromEntries(hashes.get(key) || []);
+      },
+      async hdel(key, ...fields) {
+        const hash = hashes.get(key);
+        return hash ? fields.filter(field => hash.delete(field)).length : 0;
+      },
+      async publish(channel, message) {
+        const receivers = bus.listenerCount('publish');
+        bus.emit('publish', channel, message);
+        return receivers;
+      },
+      async subscribe(...names) {
+        names.forEach(name => channels.add(name));
+        return channels.size;
+      },
+      async quit() {
+        bus.off('publish', deliver);
+        channels.clear();
+        return 'OK';
+      },
+    });
+    bus.on('publish', deliver);
+    return client;
+  }
+
+  return { createClient };
+}
+
+module.exports = { createFakeRedis };
@@ -0,0 +1,100 @@
+// Point d'entrée de la répartition entre instances : choisit l'implémentation selon la configuration.
+//   CLUSTER=memory (défaut) une seule instance, tout reste dans le processus
+//   CLUSTER=redis  plusieurs instances derrière un répartiteur de charge, reliées par Redis
+//                  (REDIS_URL, défaut redis://127.0.0.1:6379 ; REDIS_PREFIX, défaut kahut)
+//
+// Chaque partie appartient à l'instance qui l'a créée : son état et ses minuteurs y vivent.
+// Une autre instance qui reçoit un client de cette partie lui relaie ses messages, et
+// l'instance propriétaire répond par le même canal.
+//
+// Interface commune (asynchrone) :
+//   instanceId                       identifiant de cette instance
+//   shared                           false si l'instance est seule
+//   claimPin(pin) → booléen          réserve un code libre sur toutes les instances
+//   releasePin(pin)                  ownerOf(pin) → instanceId | null
+//   onPinLost(listener)              listener(pin) : code réservé par cette instance puis repris par
+//                                    une autre après expiration (signaux de vie interrompus)
+//   instances() → identifiants des instances en vie
+//   send(instanceId, message)        broadcast(message) : vers toutes les autres instances
+//   onMessage(listener)              listener(message, from)
+//   request(instanceId, type, payload) → réponse      handle(type, handler)
+//   addSession(token, ttlMs)         hasSession(token) → booléen      removeSession(token)
+//                                    sessions d'administration, valables sur toutes les instances
+//   close()
+
+const os     = require('os');
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT_MS = 3000;
+
+function clusterConfig(env = process.env) {
+  return {
+    kind:       env.CLUSTER || 'memory',
+    url:        env.REDIS_URL || 'redis://127.0.0.1:6379',
+    prefix:     env.REDIS_PREFIX || 'kahut',
+    instanceId: env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(2).toString('hex')}`,
+  };
+}
+
+// Requêtes avec réponse (liste des parties d'une instance, fin forcée…) par-dessus les messages
+function withRequests(adapter) {
+  const pending   = new Map(); // id → { resolve, reject, timer }
+  const handlers  = {};
+  const listeners = [];
+
+  adapter.onMessage((message, from) => {
+    if (message.kind === 'request') {
+      const handler = handlers[message.type];
+      Promise.resolve()
+        .then(() => {
+          if (!handler) throw new Error(`Requête inconnue : ${message.type}`);
+          return handler(message.payload, from);
+        })
+        .then(result => adapter.send(from, { kind: 'response', id: message.id, result }),
+              e      => adapter.send(from, { kind: 'response', id: message.id, error: e.message }));
+      return;
+    }
+    if (message.kind === 'response') {
+      const waiting = pending.get(message.id);
+      if (!waiting) return;
+      pending.delete(message.id);
+      clearTimeout(waiting.timer);
+      if (message.error) waiting.reject(new Error(message.error));
+      else waiting.resolve(message.result);
+      return;
+    }
+    listeners.forEach(listener => listener(message, from));
+  });
+
+  return {
+    ...adapter,
+    onMessage(listener) {
+      listeners.push(listener);
+    },
+    handle(type, handler) {
+      handlers[type] = handler;
+    },
+    request(instanceId, type, payload) {
+      const id = crypto.randomBytes(8).toString('hex');
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error(`Instance ${instanceId} sans réponse`));
+        }, REQUEST_TIMEOUT_MS);
+        pending.set(id, { resolve, reject, timer });
+        adapter.send(instanceId, { kind: 'request', id, type, payload });
+      });
+    },
+  };
+}
+
+// createClient et now (facultatifs) : fabrique de clients Redis et horloge, par exemple
+// celles de ./fake-redis dans les essais
+function createCluster(config = clusterConfig(), { createClient, now } = {}) {
+  if (config.kind === 'memory') return withRequests(require('./memory').createMemoryCluster(config));
+  // Chargé à la demande : ioredis n'est nécessaire qu'avec plusieurs instances
+  if (config.kind === 'redis') return withRequests(require('./redis').createRedisCluster({ ...config, createClient, now }));
+  throw new Error(`Répartition inconnue : ${config.kind} (memory ou redis)`);
+}
+
+module.exports = { createCluster, clusterConfig };
@@ -0,0 +1,44 @@
+// Instance unique : les codes PIN sont réservés en mémoire et aucun message ne sort du processus.
+
+function createMemoryCluster({ instanceId }) {
+  const claimed  = new Set();
+  const sessions = new Map(); // jeton → expiration (ms)
+
+  return {
+    kind:   'memory',
+    instanceId,
+    shared: false,
+    async claimPin(pin) {
+      if (claimed.has(pin)) return false;
+      claimed.add(pin);
+      return true;
+    },
+    async releasePin(pin) {
+      claimed.delete(pin);
+    },
+    async ownerOf(pin) {
+      return claimed.has(pin) ? instanceId : null;
+    },
+    onPinLost() {},
+    async instances() {
+      return [instanceId];
+    },
+    send() {},
+    broadcast() {},
+    onMessage() {},
+    async addSession(token, ttlMs) {
+      sessions.set(token, Date.now() + ttlMs);
+    },
+    async hasSession(token) {
+      const expires = sessions.get(token);
+      if (expires && expires < Date.now()) sessions.delete(token);
+      return sessions.has(token);
+    },
+    async removeSession(token) {
+      sessions.delete(token);
+    },
+    async close() {},
+  };
+}
+
+module.exports = { createMemoryCluster };
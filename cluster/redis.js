@@ -0,0 +1,117 @@
+// Plusieurs instances reliées par Redis (ou un serveur compatible : Valkey, KeyDB…) :
+//   <prefix>:pin:<pin>            instance propriétaire de la partie, expire si elle ne se manifeste plus
+//   <prefix>:instances            hash instance → fin de validité (ms), renouvelée régulièrement
+//   <prefix>:instance:<id>        canal des messages adressés à une instance
+//   <prefix>:all                  canal des messages pour toutes les instances
+//   <prefix>:session:<empreinte>  session d'administration, le jeton n'est pas écrit en clair
+
+const crypto = require('crypto');
+
+const HEARTBEAT_MS    = 10 * 1000;
+const INSTANCE_TTL_MS = 30 * 1000;
+const PIN_TTL_S       = 60;
+
+// now : horloge des signaux de vie (remplacée dans les essais avec cluster/fake-redis.js)
+function createRedisCluster({ instanceId, url, prefix, createClient, now = Date.now }) {
+  const connect = createClient || (() => {
+    const Redis = require('ioredis');
+    return new Redis(url);
+  });
+  const pub = connect();
+  const sub = connect();
+  [pub, sub].forEach(client => client.on('error', e => console.error('[cluster] Redis :', e.message)));
+
+  const key        = name => `${prefix}:${name}`;
+  const pinKey     = pin => key(`pin:${pin}`);
+  const sessionKey = token => key(`session:${crypto.createHash('sha256').update(token).digest('hex')}`);
+  const owned      = new Set();
+  const listeners  = [];
+  const lostPins   = [];
+
+  sub.subscribe(key(`instance:${instanceId}`), key('all'))
+    .catch(e => console.error('[cluster] Abonnement impossible :', e.message));
+  sub.on('message', (channel, raw) => {
+    let envelope;
+    try { envelope = JSON.parse(raw); } catch { return; }
+    if (envelope.from === instanceId) return;
+    listeners.forEach(listener => listener(envelope.message, envelope.from));
+  });
+
+  // L'instance signale qu'elle est en vie et garde ses codes. Un code expiré (instance bloquée
+  // ou coupée de Redis trop longtemps) est réservé de nouveau s'il est resté libre ; repris
+  // par une autre instance, il est perdu et onPinLost prévient le serveur
+  async function heartbeat() {
+    await pub.hset(key('instances'), instanceId, now() + INSTANCE_TTL_MS);
+    for (const pin of [...owned]) {
+      const owner = await pub.get(pinKey(pin));
+      if (!owned.has(pin)) continue; // libéré entre-temps
+      if (owner === instanceId && await pub.expire(pinKey(pin), PIN_TTL_S)) continue;
+      if ((owner === null || owner === instanceId) && await pub.set(pinKey(pin), instanceId, 'EX', PIN_TTL_S, 'NX')) continue;
+      owned.delete(pin);
+      lostPins.forEach(listener => listener(pin));
+    }
+  }
+  const beat = () => heartbeat().catch(e => console.error('[cluster] Signal de vie impossible :', e.message));
+  const heartbeatTimer = setInterval(beat, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+  beat();
+
+  function publish(channel, message) {
+    pub.publish(channel, JSON.stringify({ from: instanceId, message }))
+      .catch(e => console.error('[cluster] Envoi impossible :', e.message));
+  }
+
+  return {
+    kind:   'redis',
+    instanceId,
+    shared: true,
+    async claimPin(pin) {
+      const ok = await pub.set(pinKey(pin), instanceId, 'EX', PIN_TTL_S, 'NX');
+      if (ok) owned.add(pin);
+      return !!ok;
+    },
+    // Lecture puis suppression : seul un code expiré et repris entre les deux resterait à tort libéré
+    async releasePin(pin) {
+      owned.delete(pin);
+      if (await pub.get(pinKey(pin)) === instanceId) await pub.del(pinKey(pin));
+    },
+    async ownerOf(pin) {
+      return pub.get(pinKey(pin));
+    },
+    onPinLost(listener) {
+      lostPins.push(listener);
+    },
+    async instances() {
+      const all  = await pub.hgetall(key('instances'));
+      const at   = now();
+      const dead = Object.keys(all).filter(id => Number(all[id]) <= at);
+      if (dead.length) await pub.hdel(key('instances'), ...dead);
+      return Object.keys(all).filter(id => Number(all[id]) > at);
+    },
+    send(target, message) {
+      publish(key(`instance:${target}`), message);
+    },
+    broadcast(message) {
+      publish(key('all'), message);
+    },
+    onMessage(listener) {
+      listeners.push(listener);
+    },
+    async addSession(token, ttlMs) {
+      await pub.set(sessionKey(token), '1', 'EX', Math.ceil(ttlMs / 1000));
+    },
+    async hasSession(token) {
+      return await pub.get(sessionKey(token)) !== null;
+    },
+    async removeSession(token) {
+      await pub.del(sessionKey(token));
+    },
+    async close() {
+      clearInterval(heartbeatTimer);
+      await pub.hdel(key('instances'), instanceId);
+      await Promise.all([pub.quit(), sub.quit()]);
+    },
+  };
+}
+
+module.exports = { createRedisCluster };
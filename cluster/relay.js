@@ -0,0 +1,134 @@
+// Clients connectés à une autre instance que celle de leur partie (CLUSTER=redis) : l'instance
+// qui les reçoit leur sert de relais. Côté propriétaire, chaque client est représenté par un
+// objet qui se comporte comme son socket, si bien que broadcast(), sendToHost()… n'ont pas à
+// savoir où il est.
+//
+//   const relay = createRelay({ cluster, isLocal, handleMessage, handleClose, adoptGames });
+//     isLocal(pin)                 la partie vit sur cette instance
+//     handleMessage(ws, msg)       handleClose(ws) : traitement d'un client d'une partie locale
+//     adoptGames(pins | null)      reprend les parties libres (toutes si null), renvoie leurs codes
+//
+//   relay.routeMessage(ws, msg)    relay.routeClose(ws) : à brancher sur les sockets reçus
+//   relay.checkInstances()         à appeler régulièrement : instances disparues sans prévenir
+//   relay.stop()                   l'instance s'arrête et ne reprend plus de parties
+
+const crypto    = require('crypto');
+const WebSocket = require('ws');
+
+// Même code qu'un redémarrage : le client se reconnecte et trouve la partie sur sa nouvelle instance
+const CLOSE_ADOPTED = 1012;
+
+function createRelay({ cluster, isLocal, handleMessage, handleClose, adoptGames }) {
+  const relayedClients = new Map(); // connId → socket local relayé vers l'instance propriétaire
+  const remoteClients  = new Map(); // "instance/connId" → représentant d'un client d'une autre instance
+  let stopping = false;
+
+  function routeMessage(ws, msg) {
+    if (ws.relay) {
+      if (ws.relay.owner) cluster.send(ws.relay.owner, { kind: 'client_message', connId: ws.relay.connId, msg });
+      else ws.relay.queue.push(msg);
+      return;
+    }
+    const { pin } = msg;
+    if (!cluster.shared || typeof pin !== 'string' || !/^\d{6}$/.test(pin) || isLocal(pin)) return handleMessage(ws, msg);
+
+    // Propriétaire cherché une fois par connexion ; les messages arrivés entre-temps attendent
+    ws.relay = { pin, owner: null, connId: crypto.randomBytes(8).toString('hex'), queue: [msg] };
+    cluster.ownerOf(pin)
+      .catch(e => {
+        console.error('[cluster] Propriétaire de la partie introuvable :', e.message);
+        return null;
+      })
+      .then(owner => {
+        const { queue, connId } = ws.relay;
+        if (ws.readyState !== WebSocket.OPEN) return;
+        if (!owner || owner === cluster.instanceId) {
+          ws.relay = null;
+          return queue.forEach(m => handleMessage(ws, m));
+        }
+        ws.relay = { pin, owner, connId, queue: null };
+        relayedClients.set(connId, ws);
+        queue.forEach(m => cluster.send(owner, { kind: 'client_message', connId, msg: m }));
+      });
+  }
+
+  function routeClose(ws) {
+    if (!ws.relay) return handleClose(ws);
+    if (!ws.relay.owner) return;
+    relayedClients.delete(ws.relay.connId);
+    cluster.send(ws.relay.owner, { kind: 'client_closed', connId: ws.relay.connId });
+  }
+
+  function remoteClient(instance, connId) {
+    const id = `${instance}/${connId}`;
+    if (remoteClients.has(id)) return remoteClients.get(id);
+    const client = {
+      instance,
+      readyState: WebSocket.OPEN,
+      send(data) {
+        if (client.readyState === WebSocket.OPEN) cluster.send(instance, { kind: 'client_send', connId, data });
+      },
+      close(code, reason) {
+        if (client.readyState !== WebSocket.OPEN) return;
+        client.readyState = WebSocket.CLOSING;
+        cluster.send(instance, { kind: 'client_close', connId, code, reason });
+      },
+    };
+    remoteClients.set(id, client);
+    return client;
+  }
+
+  // Le client distant est parti (ou son instance) : même traitement qu'un socket local fermé
+  function dropRemoteClient(id) {
+    const client = remoteClients.get(id);
+    if (!client) return;
+    remoteClients.delete(id);
+    client.readyState = WebSocket.CLOSED;
+    handleClose(client);
+  }
+
+  // Parties reprises ici : leurs clients relayés se reconnectent, comme ceux d'une instance disparue
+  async function adopt(pins, gone) {
+    const adopted = await adoptGames(pins);
+    relayedClients.forEach(ws => {
+      if (gone(ws.relay.owner) || adopted.includes(ws.relay.pin)) ws.close(CLOSE_ADOPTED, 'Partie reprise par une autre instance');
+    });
+  }
+
+  // Une instance qui s'arrête libère ses parties et prévient les autres : l'une d'elles les reprend
+  function instanceStopping(from, pins) {
+    remoteClients.forEach((client, id) => { if (client.instance === from) dropRemoteClient(id); });
+    return adopt(pins, owner => owner === from);
+  }
+
+  // Instance arrêtée sans prévenir : ses clients relayés sont considérés comme déconnectés, et
+  // ses parties reprises dès que leurs codes ont expiré faute de signal de vie
+  async function checkInstances() {
+    if (!cluster.shared || stopping) return;
+    const alive = await cluster.instances();
+    remoteClients.forEach((client, id) => { if (!alive.includes(client.instance)) dropRemoteClient(id); });
+    await adopt(null, owner => !alive.includes(owner));
+  }
+
+  cluster.onMessage((message, from) => {
+    if (message.kind === 'client_message') return handleMessage(remoteClient(from, message.connId), message.msg);
+    if (message.kind === 'client_closed') return dropRemoteClient(`${from}/${message.connId}`);
+    if (message.kind === 'instance_stopping') {
+      if (!stopping) instanceStopping(from, message.pins).catch(e => console.error('[cluster] Reprise des parties impossible :', e.message));
+      return;
+    }
+    const ws = relayedClients.get(message.connId);
+    if (!ws) return;
+    if (message.kind === 'client_send' && ws.readyState === WebSocket.OPEN) ws.send(message.data);
+    if (message.kind === 'client_close') ws.close(message.code, message.reason);
+  });
+
+  return {
+    routeMessage,
+    routeClose,
+    checkInstances,
+    stop() { stopping = true; },
+  };
+}
+
+module.exports = { createRelay };
@@ -0,0 +1,38 @@
+// Devoirs : un quiz joué par chaque élève à son rythme entre deux dates, sans hôte.
+// Le serveur chronomètre chaque question ; le module ne gère que le calendrier et le classement.
+
+const MAX_ASSIGNMENT_DAYS  = 60;
+const MAX_ASSIGNMENTS      = 20;  // par quiz
+const MAX_HOMEWORK_PLAYERS = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// opensAt (défaut : maintenant) et closesAt, dates ISO ou locales acceptées par Date.parse
+function sanitizeSchedule({ opensAt, closesAt } = {}, now = Date.now()) {
+  const opens  = opensAt ? Date.parse(opensAt) : now;
+  const closes = Date.parse(closesAt);
+  if (!Number.isFinite(opens) || !Number.isFinite(closes)) throw new Error('Dates du devoir invalides');
+  if (closes <= Math.max(opens, now)) throw new Error("La date limite doit être après l'ouverture et dans le futur");
+  if (closes - opens > MAX_ASSIGNMENT_DAYS * DAY_MS) throw new Error(`Un devoir dure au plus ${MAX_ASSIGNMENT_DAYS} jours`);
+  return { opensAt: new Date(opens).toISOString(), closesAt: new Date(closes).toISOString() };
+}
+
+// 'upcoming' avant l'ouverture, 'open' pendant, 'closed' après la date limite
+function assignmentStatus(assignment, now = Date.now()) {
+  if (now < Date.parse(assignment.opensAt)) return 'upcoming';
+  if (now < Date.parse(assignment.closesAt)) return 'open';
+  return 'closed';
+}
+
+// Meilleur score d'abord ; à égalité, le premier à avoir terminé
+function homeworkLeaderboard(attempts) {
+  const finishedAt = a => a.finishedAt || '\uffff';
+  return [...attempts]
+    .sort((a, b) => b.score - a.score || finishedAt(a).localeCompare(finishedAt(b)))
+    .map((a, i) => ({ rank: i + 1, name: a.name, score: a.score, finished: !!a.finishedAt }));
+}
+
+module.exports = {
+  MAX_ASSIGNMENTS, MAX_HOMEWORK_PLAYERS,
+  sanitizeSchedule, assignmentStatus, homeworkLeaderboard,
+};
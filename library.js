@@ -0,0 +1,49 @@
+// Bibliothèque de quiz : métadonnées saisies dans l'éditeur (description, tags, langue,
+// visibilité) et paramètres de la recherche paginée.
+
+const LANGUAGES       = ['fr', 'en', 'es', 'de', 'it', 'pt', 'nl'];
+const VISIBILITIES    = ['private', 'public'];
+const MAX_DESCRIPTION = 500;
+const MAX_TAGS        = 10;
+const MAX_TAG_LENGTH  = 30;
+const PAGE_SIZE       = 20;
+const MAX_PAGE_SIZE   = 50;
+
+// Tableau ou chaîne "histoire, géo" → tags en minuscules, sans doublon
+function sanitizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  const seen = new Set();
+  return list
+    .map(t => (typeof t === 'string' ? t : '').replace(/[|,"]/g, ' ').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_TAG_LENGTH))
+    .filter(t => t && !seen.has(t) && seen.add(t))
+    .slice(0, MAX_TAGS);
+}
+
+// Champ absent : valeur de "current" (quiz déjà enregistré), sinon valeur par défaut
+function sanitizeMetadata(data = {}, current = {}) {
+  const pick = field => (data[field] !== undefined ? data[field] : current[field]);
+  const description = pick('description');
+  const language    = pick('language');
+  return {
+    description: typeof description === 'string' ? description.trim().slice(0, MAX_DESCRIPTION) : '',
+    tags:        sanitizeTags(pick('tags')),
+    language:    LANGUAGES.includes(language) ? language : null,
+    visibility:  VISIBILITIES.includes(pick('visibility')) ? pick('visibility') : 'private',
+  };
+}
+
+// ?q=&tag=&language=&page=&limit= → options de store.quizzes.search
+function parseLibraryQuery(query) {
+  const page  = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || PAGE_SIZE));
+  return {
+    text:     typeof query.q === 'string' ? query.q.slice(0, 200) : '',
+    tag:      typeof query.tag === 'string' ? query.tag.slice(0, MAX_TAG_LENGTH) : '',
+    language: LANGUAGES.includes(query.language) ? query.language : null,
+    page,
+    limit,
+    offset:   (page - 1) * limit,
+  };
+}
+
+module.exports = { LANGUAGES, sanitizeTags, sanitizeMetadata, parseLibraryQuery };
@@ -0,0 +1,46 @@
+// Cycle de vie des parties en mémoire : codes PIN attribués sans collision, nombre de parties
+// simultanées limité et repérage des parties abandonnées.
+//
+//   MAX_GAMES            parties en cours à la fois (défaut 200, podiums terminés non comptés)
+//   LOBBY_IDLE_MINUTES   lobby sans aucune activité avant fermeture (défaut 30)
+//   GAME_IDLE_MINUTES    partie commencée mais bloquée (pause, hôte parti) avant clôture (défaut 20)
+
+const PIN_ATTEMPTS  = 100;
+const FINAL_KEEP_MS = 10 * 60 * 1000; // podium gardé pour les reconnexions et l'export
+
+function positiveInt(value, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function lifecycleConfig(env = process.env) {
+  return {
+    maxGames:    positiveInt(env.MAX_GAMES, 200),
+    lobbyIdleMs: positiveInt(env.LOBBY_IDLE_MINUTES, 30) * 60 * 1000,
+    gameIdleMs:  positiveInt(env.GAME_IDLE_MINUTES, 20) * 60 * 1000,
+  };
+}
+
+// Code à 6 chiffres libre dans games, ou null si le tirage n'en trouve pas
+function allocatePin(games, random = Math.random) {
+  for (let i = 0; i < PIN_ATTEMPTS; i++) {
+    const pin = Math.floor(100000 + random() * 900000).toString();
+    if (!games[pin]) return pin;
+  }
+  return null;
+}
+
+function liveGameCount(games) {
+  return Object.values(games).filter(g => g.state !== 'final').length;
+}
+
+// Pourquoi la partie doit être retirée de la mémoire, ou null si elle est encore en vie :
+// 'idle_lobby' (jamais lancée), 'stalled' (commencée puis plus rien) ou 'finished' (podium expiré)
+function staleReason(game, config, now = Date.now()) {
+  if (game.state === 'final') return now - Date.parse(game.endedAt) > FINAL_KEEP_MS ? 'finished' : null;
+  const idle = now - game.lastActivity;
+  if (game.state === 'lobby') return idle > config.lobbyIdleMs ? 'idle_lobby' : null;
+  return idle > config.gameIdleMs ? 'stalled' : null;
+}
+
+module.exports = { lifecycleConfig, allocatePin, liveGameCount, staleReason };
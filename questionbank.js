@@ -0,0 +1,65 @@
+// Banque de questions : questions réutilisables d'un quiz à l'autre, classées par tags et
+// difficulté, et tirages aléatoires faits à chaque création de partie.
+
+const { sanitizeTags } = require('./library');
+
+const DIFFICULTIES       = ['easy', 'medium', 'hard'];
+const MAX_BANK_QUESTIONS = 500;
+const MAX_DRAW_RULES     = 10;
+const MAX_DRAW_COUNT     = 50;
+
+function sanitizeDifficulty(difficulty) {
+  return DIFFICULTIES.includes(difficulty) ? difficulty : null;
+}
+
+// Règles de tirage d'un quiz : [{ count, tag, difficulty }], tag et difficulté facultatifs
+function sanitizeDraws(draws) {
+  if (!Array.isArray(draws)) return [];
+  return draws.slice(0, MAX_DRAW_RULES)
+    .filter(d => d && typeof d === 'object')
+    .map(d => ({
+      count:      Math.min(MAX_DRAW_COUNT, Math.max(0, parseInt(d.count, 10) || 0)),
+      tag:        sanitizeTags([d.tag])[0] || null,
+      difficulty: sanitizeDifficulty(d.difficulty),
+    }))
+    .filter(d => d.count > 0);
+}
+
+function drawCount(draws) {
+  return (draws || []).reduce((sum, d) => sum + d.count, 0);
+}
+
+function matchesFilter(q, { tag, difficulty, text }) {
+  if (tag && !q.tags.includes(tag)) return false;
+  if (difficulty && q.difficulty !== difficulty) return false;
+  if (text && !q.question.toLowerCase().includes(text.toLowerCase())) return false;
+  return true;
+}
+
+// Chaque règle tire sans remise parmi les questions pas encore tirées ; une règle
+// plus gourmande que la banque prend tout ce qui reste.
+function drawQuestions(questions, draws, random = Math.random) {
+  const taken = new Set();
+  const drawn = [];
+  draws.forEach(rule => {
+    const pool = questions.filter(q => !taken.has(q.id) && matchesFilter(q, rule));
+    for (let k = 0; k < rule.count && pool.length; k++) {
+      const [q] = pool.splice(Math.floor(random() * pool.length), 1);
+      taken.add(q.id);
+      drawn.push(q);
+    }
+  });
+  return drawn;
+}
+
+// Tags de la banque avec leur nombre de questions, du plus fréquent au plus rare
+function bankTags(questions) {
+  const counts = new Map();
+  questions.forEach(q => q.tags.forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+  return [...counts].map(([tag, count]) => ({ tag, count })).sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+module.exports = {
+  DIFFICULTIES, MAX_BANK_QUESTIONS,
+  sanitizeDifficulty, sanitizeDraws, drawCount, matchesFilter, drawQuestions, bankTags,
+};
@@ -0,0 +1,165 @@
+// Conversion de formats de quiz externes (CSV tableur, Moodle GIFT) vers la
+// structure { question, answers, correct, type } attendue par sanitizeQuestions.
+
+// ─── CSV ──────────────────────────────────────────────────────────────────────
+// Une ligne par question : question ; réponses ; bonnes réponses ; type
+//   - réponses séparées par « | »
+//   - bonnes réponses : numéros (à partir de 1) séparés par « | », ou Vrai/Faux
+//   - type (facultatif) : single, multiple, truefalse (ou unique, multiple, vrai/faux)
+// Le séparateur (« ; » ou « , ») est détecté sur la première ligne, l'en-tête est facultatif.
+
+const TYPE_ALIASES = {
+  single: 'single', unique: 'single', simple: 'single',
+  multiple: 'multiple', multi: 'multiple',
+  truefalse: 'truefalse', vraifaux: 'truefalse', 'vrai/faux': 'truefalse', 'true/false': 'truefalse', tf: 'truefalse',
+};
+const TRUE_WORDS  = ['vrai', 'true', 'v', 't', '1'];
+const FALSE_WORDS = ['faux', 'false', 'f', '2'];
+
+function parseCsvRows(text, sep) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+function parseCsvQuiz(text) {
+  text = text.replace(/^\ufeff/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const sep       = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows      = parseCsvRows(text, sep);
+  if (rows.length && /^question$/i.test(rows[0][0].trim())) rows.shift();
+  if (rows.length === 0) throw new Error('Fichier CSV vide');
+
+  return {
+    skipped:   0,
+    questions: rows.map((cols, idx) => {
+      const [question = '', answersCol = '', correctCol = '', typeCol = ''] = cols.map(c => c.trim());
+      const line    = idx + 1;
+      const answers = answersCol.split('|').map(a => a.trim()).filter(Boolean);
+      let type      = TYPE_ALIASES[typeCol.toLowerCase().replace(/\s+/g, '')] || null;
+
+      if (type === 'truefalse' || (!type && answers.length === 0)) {
+        const val = correctCol.toLowerCase();
+        if (TRUE_WORDS.includes(val))  return { question, answers: [], correct: 0, type: 'truefalse' };
+        if (FALSE_WORDS.includes(val)) return { question, answers: [], correct: 1, type: 'truefalse' };
+        throw new Error(`Ligne ${line} : bonne réponse Vrai/Faux invalide`);
+      }
+
+      const correct = correctCol.split('|').map(c => parseInt(c.trim(), 10) - 1);
+      if (correct.length === 0 || correct.some(c => !Number.isInteger(c) || c < 0 || c >= answers.length))
+        throw new Error(`Ligne ${line} : bonne(s) réponse(s) invalide(s)`);
+      if (!type) type = correct.length > 1 ? 'multiple' : 'single';
+      return { question, answers, correct: type === 'multiple' ? correct : correct[0], type };
+    }),
+  };
+}
+
+// ─── GIFT (Moodle) ────────────────────────────────────────────────────────────
+// Seuls les choix unique / multiple et vrai/faux sont convertis ; les autres
+// types (réponse courte, numérique, appariement, composition) sont ignorés.
+
+const GIFT_ESCAPES = /\\([~=#{}:\\])/g;
+
+function giftUnescape(str) {
+  return str.replace(GIFT_ESCAPES, '$1').trim();
+}
+
+// Découpe sur un caractère non échappé (chaque morceau suivant commence par ce caractère)
+function giftSplit(str, re) {
+  const parts = [];
+  let last = 0, m;
+  re.lastIndex = 0;
+  while ((m = re.exec(str))) {
+    if (m.index > 0 && str[m.index - 1] === '\\') continue;
+    parts.push(str.slice(last, m.index));
+    last = m.index;
+  }
+  parts.push(str.slice(last));
+  return parts;
+}
+
+function stripFeedback(str) {
+  return giftSplit(str, /#/g)[0];
+}
+
+function parseGiftBlock(block) {
+  let text = block.replace(/^::(?:\\:|[^:])*::/, '').trim();
+  text     = text.replace(/^\[(html|moodle|markdown|plain)\]/i, '').trim();
+
+  const open = giftSplit(text, /\{/g);
+  if (open.length < 2) return null;
+  const after    = text.slice(open[0].length + 1);
+  const close    = giftSplit(after, /\}/g);
+  const body     = close[0].trim();
+  const tail     = close.length > 1 ? after.slice(close[0].length + 1) : '';
+  const question = giftUnescape(`${open[0]} ${tail}`);
+
+  const tf = stripFeedback(body).trim().toUpperCase();
+  if (['T', 'TRUE', 'V', 'VRAI'].includes(tf))  return { question, answers: [], correct: 0, type: 'truefalse' };
+  if (['F', 'FALSE', 'FAUX'].includes(tf))      return { question, answers: [], correct: 1, type: 'truefalse' };
+
+  const parts = giftSplit(body, /[=~]/g);
+  if (parts[0].trim()) return null; // numérique (#…) ou format non géré
+  const tokens = parts.slice(1).map(t => t.trim());
+  if (tokens.length < 2 || tokens.some(t => t.includes('->'))) return null;
+  if (!tokens.some(t => t.startsWith('~'))) return null; // réponse courte
+
+  const answers = [], correct = [];
+  let weighted  = false;
+  tokens.forEach(tok => {
+    let value    = stripFeedback(tok.slice(1)).trim();
+    let isRight  = tok[0] === '=';
+    const weight = value.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weight) {
+      weighted = true;
+      isRight  = parseFloat(weight[1]) > 0;
+      value    = value.slice(weight[0].length);
+    }
+    if (isRight) correct.push(answers.length);
+    answers.push(giftUnescape(value));
+  });
+  if (correct.length === 0) return null;
+
+  const type = weighted || correct.length > 1 ? 'multiple' : 'single';
+  return { question, answers, correct: type === 'multiple' ? correct : correct[0], type };
+}
+
+function parseGiftQuiz(text) {
+  const blocks = text
+    .replace(/^\ufeff/, '')
+    .split(/\r?\n/)
+    .filter(line => !/^\s*\/\//.test(line) && !/^\s*\$CATEGORY:/.test(line))
+    .join('\n')
+    .split(/\n\s*\n/)
+    .map(b => b.trim())
+    .filter(Boolean);
+
+  const questions = [];
+  let skipped = 0;
+  blocks.forEach(block => {
+    const q = parseGiftBlock(block);
+    if (q) questions.push(q); else skipped++;
+  });
+  if (questions.length === 0) throw new Error('Aucune question GIFT compatible (choix unique, multiple ou vrai/faux)');
+  return { questions, skipped };
+}
+
+module.exports = { parseCsvQuiz, parseGiftQuiz };
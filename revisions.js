@@ -0,0 +1,89 @@
+// Historique des versions d'un quiz : instantanés enregistrés à chaque sauvegarde
+// et comparaison de deux versions question par question.
+
+const REVISION_LIMIT     = 30;              // versions gardées par quiz
+const REVISION_WINDOW_MS = 2 * 60 * 1000;   // sauvegardes rapprochées fusionnées dans une même version
+
+const SETTING_FIELDS  = ['name', 'time', 'shuffle', 'scoring', 'description', 'tags', 'language', 'visibility', 'draws'];
+const QUESTION_FIELDS = ['question', 'type', 'answers', 'correct', 'tolerance', 'scoring', 'image', 'time', 'points'];
+
+// Contenu éditable du quiz, sans jeton ni dates d'usage
+function snapshot(quiz) {
+  return {
+    name:        quiz.name,
+    time:        quiz.time,
+    shuffle:     quiz.shuffle,
+    scoring:     quiz.scoring,
+    description: quiz.description,
+    tags:        quiz.tags,
+    language:    quiz.language,
+    visibility:  quiz.visibility,
+    bankId:      quiz.bankId,
+    draws:       quiz.draws,
+    questions:   quiz.questions,
+  };
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function changedFields(before, after, fields) {
+  return fields.filter(f => !same(before[f], after[f]));
+}
+
+// Plus longue sous-suite commune des questions identiques : paires [indexAvant, indexAprès]
+function commonQuestions(before, after) {
+  const n = before.length, m = after.length;
+  const len = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--)
+    for (let j = m - 1; j >= 0; j--)
+      len[i][j] = same(before[i], after[j]) ? len[i + 1][j + 1] + 1 : Math.max(len[i + 1][j], len[i][j + 1]);
+
+  const pairs = [];
+  for (let i = 0, j = 0; i < n && j < m;) {
+    if (same(before[i], after[j])) { pairs.push([i, j]); i++; j++; }
+    else if (len[i + 1][j] >= len[i][j + 1]) i++;
+    else j++;
+  }
+  return pairs;
+}
+
+// Entre deux questions inchangées, les autres sont appariées par intitulé puis dans l'ordre ;
+// celles qui restent d'un côté sont comptées comme supprimées ou ajoutées.
+function diffGap(before, after, olds, news, diff) {
+  const changed = (i, j) => diff.changed.push({ from: i, to: j, question: after[j].question, fields: changedFields(before[i], after[j], QUESTION_FIELDS) });
+  const pending   = [...news];
+  const unmatched = [];
+  olds.forEach(i => {
+    const k = pending.findIndex(j => before[i].question === after[j].question);
+    if (k === -1) return unmatched.push(i);
+    changed(i, pending[k]);
+    pending.splice(k, 1);
+  });
+  const paired = Math.min(unmatched.length, pending.length);
+  unmatched.slice(0, paired).forEach((i, k) => changed(i, pending[k]));
+  unmatched.slice(paired).forEach(i => diff.removed.push({ index: i, question: before[i].question }));
+  pending.slice(paired).forEach(j => diff.added.push({ index: j, question: after[j].question }));
+}
+
+// Indices 0-based : "index"/"from" dans la version de départ, "index"/"to" dans l'autre
+function diffQuizzes(before, after) {
+  const diff = { settings: changedFields(before, after, SETTING_FIELDS), added: [], removed: [], changed: [] };
+  const anchors = [...commonQuestions(before.questions, after.questions), [before.questions.length, after.questions.length]];
+  let i = 0, j = 0;
+  anchors.forEach(([ai, aj]) => {
+    const olds = [], news = [];
+    for (; i < ai; i++) olds.push(i);
+    for (; j < aj; j++) news.push(j);
+    diffGap(before.questions, after.questions, olds, news, diff);
+    i = ai + 1; j = aj + 1;
+  });
+  diff.added.sort((a, b) => a.index - b.index);
+  diff.changed.sort((a, b) => a.to - b.to);
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return !diff.settings.length && !diff.added.length && !diff.removed.length && !diff.changed.length;
+}
+
+module.exports = { REVISION_LIMIT, REVISION_WINDOW_MS, snapshot, diffQuizzes, isEmptyDiff };
@@ -0,0 +1,89 @@
+// Règles de score d'un quiz (quiz.scoring) et calcul des points d'une réponse.
+// Le module ne connaît ni la partie ni le WebSocket : il reçoit le verdict
+// (juste, partiel, faux) et renvoie les points, le bonus et la nouvelle série.
+
+// ─── Règles ───────────────────────────────────────────────────────────────────
+//   mode         : 'speed' (500 à 1000 points selon la rapidité) ou 'flat' (1000 points)
+//   streak       : bonus de série pour les bonnes réponses consécutives
+//   partial      : crédit partiel des choix multiples et remises en ordre
+//                  'proportional' (aucun mauvais choix coché), 'penalized'
+//                  (les mauvais choix retirent des bonnes) ou 'none' (tout ou rien)
+//   wrongPenalty : points retirés pour une mauvaise réponse (0 = aucune pénalité)
+
+const SCORING_MODES    = ['speed', 'flat'];
+const PARTIAL_POLICIES = ['proportional', 'penalized', 'none'];
+const WRONG_PENALTIES  = [0, 100, 250, 500];
+
+const DEFAULT_SCORING = { mode: 'speed', streak: false, partial: 'proportional', wrongPenalty: 0 };
+
+const MAX_POINTS       = 1000;
+const MIN_SPEED_POINTS = 500;
+const PARTIAL_POINTS   = 300;
+const STREAK_STEP      = 100; // par bonne réponse consécutive à partir de la deuxième
+const MAX_STREAK_BONUS = 500;
+const ANSWER_GRACE_MS  = 2000; // latence tolérée entre la fin du chrono et l'arrivée de la réponse
+
+function sanitizeScoring(scoring) {
+  const s = scoring && typeof scoring === 'object' ? scoring : {};
+  return {
+    mode:         SCORING_MODES.includes(s.mode) ? s.mode : DEFAULT_SCORING.mode,
+    streak:       s.streak === true,
+    partial:      PARTIAL_POLICIES.includes(s.partial) ? s.partial : DEFAULT_SCORING.partial,
+    wrongPenalty: WRONG_PENALTIES.includes(s.wrongPenalty) ? s.wrongPenalty : DEFAULT_SCORING.wrongPenalty,
+  };
+}
+
+// ─── Calcul ───────────────────────────────────────────────────────────────────
+function speedPoints(timeLimit, elapsed) {
+  const ratio = Math.max(0, (timeLimit - elapsed) / timeLimit);
+  return MIN_SPEED_POINTS + (MAX_POINTS - MIN_SPEED_POINTS) * ratio;
+}
+
+// Part de la réponse complète obtenue (0 à 1) : right éléments justes, wrong erronés sur total
+function partialCredit(rules, { right, wrong, total }) {
+  if (total === 0 || right === 0 || rules.partial === 'none') return 0;
+  if (rules.partial === 'penalized') return Math.max(0, (right - wrong) / total);
+  return wrong > 0 ? 0 : right / total;
+}
+
+function streakBonus(rules, streak) {
+  if (!rules.streak || streak < 2) return 0;
+  return Math.min((streak - 1) * STREAK_STEP, MAX_STREAK_BONUS);
+}
+
+// correct : true, false ou null (question sans bonne réponse, la série est conservée)
+// credit  : résultat de partialCredit pour une réponse incomplète
+function scoreAnswer(rules, { correct, credit = 0, timeLimit, elapsed, multiplier = 1, streak = 0 }) {
+  if (correct === null) return { points: 0, bonus: 0, streak };
+
+  if (correct) {
+    const next  = streak + 1;
+    const base  = rules.mode === 'flat' ? MAX_POINTS : speedPoints(timeLimit, elapsed);
+    const bonus = Math.round(streakBonus(rules, next) * multiplier);
+    return { points: Math.round(base * multiplier) + bonus, bonus, streak: next };
+  }
+
+  if (credit > 0) return { points: Math.round(credit * PARTIAL_POINTS * multiplier), bonus: 0, streak: 0 };
+  return { points: rules.wrongPenalty ? -Math.round(rules.wrongPenalty * multiplier) : 0, bonus: 0, streak: 0 };
+}
+
+// ─── Réponses numériques ──────────────────────────────────────────────────────
+// Marge pour les arrondis des nombres à virgule (1.1 - 1 vaut 0.10000000000000009),
+// proportionnelle aux valeurs comparées pour ne rien accepter de plus sur les grands nombres
+const ROUNDING_ULPS = 16;
+
+function withinTolerance(answer, correct, tolerance) {
+  const scale = Math.max(1, Math.abs(answer), Math.abs(correct), tolerance);
+  return Math.abs(answer - correct) <= tolerance + ROUNDING_ULPS * Number.EPSILON * scale;
+}
+
+// « Le plus proche l'emporte » : pour chaque réponse, true si elle est à l'écart minimal (ex aequo compris)
+function closestAnswers(answers, correct) {
+  if (answers.length === 0) return [];
+  const best = Math.min(...answers.map(a => Math.abs(a - correct)));
+  return answers.map(a => withinTolerance(a, correct, best));
+}
+
+module.exports = {
+  ANSWER_GRACE_MS, DEFAULT_SCORING, sanitizeScoring, partialCredit, streakBonus, scoreAnswer, withinTolerance, closestAnswers,
+};
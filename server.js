@@ -3,10 +3,28 @@ const http      = require('http');
 const WebSocket = require('ws');
 const path      = require('path');
 const fs        = require('fs');
+const crypto    = require('crypto');
 const multer    = require('multer');
 const rateLimit = require('express-rate-limit');
 const helmet    = require('helmet');
-const { hasBadWord } = require('./badwords');
+const {
+  hasBadWord, hasOffensiveContent, findBadWords, loadFilterConfig, filterConfig, customTerms, setCustomTerms, addTerm, removeTerm,
+} = require('./badwords');
+const { parseCsvQuiz, parseGiftQuiz } = require('./quizformats');
+const { ANSWER_GRACE_MS, sanitizeScoring, partialCredit, scoreAnswer, withinTolerance, closestAnswers } = require('./scoring');
+const { createStore } = require('./storage');
+const { REVISION_LIMIT, REVISION_WINDOW_MS, snapshot, diffQuizzes, isEmptyDiff } = require('./revisions');
+const { sanitizeMetadata, parseLibraryQuery, sanitizeTags } = require('./library');
+const {
+  MAX_BANK_QUESTIONS, sanitizeDifficulty, sanitizeDraws, drawCount, matchesFilter, drawQuestions, bankTags,
+} = require('./questionbank');
+const {
+  MAX_ASSIGNMENTS, MAX_HOMEWORK_PLAYERS, sanitizeSchedule, assignmentStatus, homeworkLeaderboard,
+} = require('./homework');
+const { lifecycleConfig, allocatePin, liveGameCount, staleReason } = require('./lifecycle');
+const { serializeGame, restoreGame } = require('./snapshots');
+const { createCluster, clusterConfig } = require('./cluster');
+const { createRelay } = require('./cluster/relay');
 
 const app    = express();
 const server = http.createServer(app);
@@ -42,18 +60,59 @@ app.use((req, res, next) => {
   })(req, res, next);
 });
 
+// La page d'administration n'est servie qu'avec une session admin valide
+app.use((req, res, next) => {
+  let page;
+  try { page = path.posix.normalize(decodeURIComponent(req.path)).toLowerCase(); } catch { return next(); }
+  if (page !== '/admin.html') return next();
+  isAdminRequest(req)
+    .then(ok => (ok ? next() : res.redirect('/admin-login.html')))
+    .catch(e => {
+      console.error('[admin] Vérification de la session impossible :', e.message);
+      res.status(503).json({ error: 'Service momentanément indisponible' });
+    });
+});
+
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(express.json());
 
 // ─── Rate limiting ────────────────────────────────────────────────────────────
+// Les devoirs ont leurs propres limites : une classe entière partage souvent une adresse
+// (NAT de l'établissement) et chaque élève fait deux requêtes par question.
+// L'administration aussi : le tableau de bord s'actualise seul et ne doit pas épuiser le
+// quota des éditeurs et animateurs de la même adresse.
 app.use('/api/', rateLimit({
   windowMs: 15 * 60 * 1000, max: 100,
+  skip: req => req.path.startsWith('/assignments/') || req.path.startsWith('/admin/'),
+  message: { error: 'Trop de requêtes, réessaie plus tard.' },
+}));
+app.use('/api/assignments/', rateLimit({
+  windowMs: 15 * 60 * 1000, max: 3000,
+  message: { error: 'Trop de requêtes, réessaie plus tard.' },
+}));
+// Par élève : de quoi finir un devoir de MAX_QUESTIONS questions, rechargements compris
+app.use('/api/assignments/:assignmentId/attempts/:attemptId', rateLimit({
+  windowMs: 15 * 60 * 1000, max: 300,
+  keyGenerator: req => `${req.params.assignmentId}/${req.params.attemptId}`,
   message: { error: 'Trop de requêtes, réessaie plus tard.' },
 }));
 app.use('/api/upload', rateLimit({
   windowMs: 10 * 60 * 1000, max: 20,
   message: { error: "Trop d'uploads." },
 }));
+app.use('/api/quizzes/import', rateLimit({
+  windowMs: 10 * 60 * 1000, max: 10,
+  message: { error: "Trop d'imports." },
+}));
+app.use('/api/admin/', rateLimit({
+  windowMs: 15 * 60 * 1000, max: 500,
+  message: { error: 'Trop de requêtes, réessaie plus tard.' },
+}));
+// Seuls les échecs de connexion admin sont comptés
+app.use('/api/admin/login', rateLimit({
+  windowMs: 15 * 60 * 1000, max: 5, skipSuccessfulRequests: true,
+  message: { error: 'Trop de tentatives de connexion, réessaie plus tard.' },
+}));
 app.use('/api/create', rateLimit({
   windowMs: 60 * 1000, max: 5,
   message: { error: 'Trop de parties créées.' },
@@ -66,10 +125,55 @@ const MAX_ANSWERS   = 12;
 const MAX_Q_LENGTH  = 500;
 const MAX_A_LENGTH  = 200;
 const MAX_NAME_LEN  = 60;
+const MIN_Q_TIME    = 5;
+const MAX_Q_TIME    = 120;
+// Multiplicateurs de points autorisés par question (0 = sans points, 2 = points doubles)
+const POINTS_MULTIPLIERS = [0, 1, 2];
+
+const MAX_CLOUD_WORDS = 40;
+
+// Équipes disponibles en mode équipes, dans l'ordre d'attribution
+const TEAMS = [
+  { id: 'red',    name: 'Équipe Rouge',  color: '#ef4444' },
+  { id: 'blue',   name: 'Équipe Bleue',  color: '#3b82f6' },
+  { id: 'yellow', name: 'Équipe Jaune',  color: '#eab308' },
+  { id: 'green',  name: 'Équipe Verte',  color: '#22c55e' },
+  { id: 'orange', name: 'Équipe Orange', color: '#f97316' },
+  { id: 'purple', name: 'Équipe Violette', color: '#8b5cf6' },
+];
+
+// Secondes ajoutées à la question en cours par le bouton « +10 s » de l'hôte
+const EXTEND_SECONDS = 10;
+
+// Code de fermeture WebSocket : la session a été reprise par une autre connexion
+const CLOSE_REPLACED = 4001;
+// Codes de fermeture de la modération : joueur exclu par l'hôte, ou banni pour le reste de la partie
+const CLOSE_KICKED = 4002;
+const CLOSE_BANNED = 4003;
+// Partie fermée sans podium : lobby abandonné ou fermé par l'administration
+const CLOSE_GAME_CLOSED = 4004;
+// Code standard « Service Restart » : le client se reconnecte une fois le serveur relancé
+const CLOSE_RESTARTING = 1012;
+
+// Écrans spectateurs (projecteur) par partie
+const MAX_SPECTATORS = 5;
 
 // ─── sanitizeQuestions ────────────────────────────────────────────────────────
-function sanitizeQuestions(questions) {
-  if (!Array.isArray(questions) || questions.length === 0)
+const QUESTION_TYPES = ['single', 'multiple', 'truefalse', 'typed', 'numeric', 'ordering', 'poll', 'open'];
+// Questions d'opinion : aucune bonne réponse, aucun point
+const UNSCORED_TYPES = ['poll', 'open'];
+
+// Durée propre à la question (null = durée du quiz) et multiplicateur de points
+function sanitizeQuestionSettings(q) {
+  return {
+    time:   Number.isInteger(q.time) && q.time >= MIN_Q_TIME && q.time <= MAX_Q_TIME ? q.time : null,
+    points: POINTS_MULTIPLIERS.includes(q.points) ? q.points : 1,
+  };
+}
+
+// allowEmpty : quiz fait uniquement de tirages dans la banque de questions
+function sanitizeQuestions(questions, { allowEmpty = false } = {}) {
+  if (!Array.isArray(questions) || (questions.length === 0 && !allowEmpty))
     throw new Error('Questions manquantes');
   if (questions.length > MAX_QUESTIONS)
     throw new Error('Trop de questions (max 50)');
@@ -78,7 +182,7 @@ function sanitizeQuestions(questions) {
     if (typeof q.question !== 'string')
       throw new Error(`Question ${idx + 1} : champ "question" invalide`);
 
-    const type = ['single', 'multiple', 'truefalse'].includes(q.type) ? q.type : 'single';
+    const type = QUESTION_TYPES.includes(q.type) ? q.type : 'single';
 
     if (type === 'truefalse') {
       const correct = q.correct === 0 || q.correct === 1 ? q.correct : null;
@@ -90,6 +194,81 @@ function sanitizeQuestions(questions) {
         correct,
         type:     'truefalse',
         image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
+      };
+    }
+
+    // Réponse saisie : "answers" liste les orthographes acceptées
+    if (type === 'typed') {
+      const answers = (Array.isArray(q.answers) ? q.answers : [])
+        .map(a => (typeof a === 'string' ? a : '').trim().slice(0, MAX_A_LENGTH))
+        .filter(Boolean)
+        .slice(0, MAX_ANSWERS);
+      if (answers.length === 0)
+        throw new Error(`Question ${idx + 1} : au moins une réponse acceptée requise`);
+      return {
+        question: q.question.trim().slice(0, MAX_Q_LENGTH),
+        answers,
+        correct:  answers.map((_, i) => i),
+        type:     'typed',
+        image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
+      };
+    }
+
+    // Réponse numérique : juste à "tolerance" près, ou la plus proche l'emporte
+    if (type === 'numeric') {
+      if (typeof q.correct !== 'number' || !Number.isFinite(q.correct))
+        throw new Error(`Question ${idx + 1} : valeur attendue invalide`);
+      return {
+        question:  q.question.trim().slice(0, MAX_Q_LENGTH),
+        answers:   [],
+        correct:   q.correct,
+        tolerance: typeof q.tolerance === 'number' && Number.isFinite(q.tolerance) && q.tolerance >= 0 ? q.tolerance : 0,
+        scoring:   q.scoring === 'closest' ? 'closest' : 'tolerance',
+        type:      'numeric',
+        image:     typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
+      };
+    }
+
+    if (type === 'poll') {
+      if (!Array.isArray(q.answers) || q.answers.length < 2)
+        throw new Error(`Question ${idx + 1} : réponses manquantes`);
+      return {
+        question: q.question.trim().slice(0, MAX_Q_LENGTH),
+        answers:  q.answers.slice(0, MAX_ANSWERS).map(a => (typeof a === 'string' ? a : '').trim().slice(0, MAX_A_LENGTH)),
+        correct:  null,
+        type:     'poll',
+        image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
+      };
+    }
+
+    // Question ouverte : les réponses libres alimentent un nuage de mots
+    if (type === 'open') {
+      return {
+        question: q.question.trim().slice(0, MAX_Q_LENGTH),
+        answers:  [],
+        correct:  null,
+        type:     'open',
+        image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
+      };
+    }
+
+    // Remise en ordre : "answers" est saisi dans le bon ordre, mélangé au lancement de la partie
+    if (type === 'ordering') {
+      if (!Array.isArray(q.answers) || q.answers.length < 2)
+        throw new Error(`Question ${idx + 1} : au moins deux éléments à ordonner`);
+      const answers = q.answers.slice(0, MAX_ANSWERS).map(a => (typeof a === 'string' ? a : '').trim().slice(0, MAX_A_LENGTH));
+      return {
+        question: q.question.trim().slice(0, MAX_Q_LENGTH),
+        answers,
+        correct:  answers.map((_, i) => i),
+        type:     'ordering',
+        image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
       };
     }
 
@@ -104,6 +283,7 @@ function sanitizeQuestions(questions) {
         correct:  q.correct.filter(c => Number.isInteger(c) && c >= 0 && c < q.answers.length),
         type:     'multiple',
         image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+        ...sanitizeQuestionSettings(q),
       };
     }
 
@@ -117,15 +297,39 @@ function sanitizeQuestions(questions) {
       correct:  q.correct,
       type:     'single',
       image:    typeof q.image === 'string' && q.image.startsWith('/uploads/') ? q.image : null,
+      ...sanitizeQuestionSettings(q),
     };
   });
 }
 
-// ─── Dossiers ─────────────────────────────────────────────────────────────────
-const QUIZ_DIR   = path.join(__dirname, 'quizzes');
+// ─── Stockage ─────────────────────────────────────────────────────────────────
+// Quiz, résultats et métadonnées d'images passent par le stockage configuré
+// (STORAGE=json ou sqlite, voir storage/index.js) ; les images restent des fichiers.
 const UPLOAD_DIR = path.join(__dirname, 'public', 'uploads');
-if (!fs.existsSync(QUIZ_DIR))   fs.mkdirSync(QUIZ_DIR);
+const LOG_DIR    = path.join(__dirname, 'logs');
+// Listes du filtre de propos grossiers (langues, termes bloqués ou autorisés de départ)
+const BADWORDS_FILE = process.env.BADWORDS_FILE ? path.resolve(process.env.BADWORDS_FILE) : path.join(__dirname, 'data', 'badwords.json');
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+if (!fs.existsSync(LOG_DIR))    fs.mkdirSync(LOG_DIR);
+
+const store = createStore();
+console.log(`[storage] Stockage ${store.kind}`);
+
+// Le stockage JSON garde index et caches en mémoire de chaque processus : plusieurs instances
+// verraient des quiz périmés, et le nettoyage supprimerait ce qu'une autre vient d'enregistrer
+const clusterSettings = clusterConfig();
+if (clusterSettings.kind !== 'memory' && store.kind !== 'sqlite')
+  throw new Error(`CLUSTER=${clusterSettings.kind} demande STORAGE=sqlite, partagé par toutes les instances`);
+const cluster = createCluster(clusterSettings);
+console.log(`[cluster] Répartition ${cluster.kind} (instance ${cluster.instanceId})`);
+
+// Fichier illisible : le filtre garde ses listes intégrées plutôt que d'empêcher le démarrage
+try { loadFilterConfig(BADWORDS_FILE); }
+catch (e) { console.error(`[filtre] ⚠ ${BADWORDS_FILE} illisible, listes intégrées seules :`, e.message); }
+try { loadCustomTerms(); }
+catch (e) { console.error("[filtre] ⚠ Termes de l'administration illisibles :", e.message); }
+const filterLists = filterConfig();
+console.log(`[filtre] Langues : ${filterLists.languages.join(', ')} — ${filterLists.blocked.length} terme(s) bloqué(s), ${filterLists.allowed.length} autorisé(s) en plus`);
 
 // ─── Multer ───────────────────────────────────────────────────────────────────
 const storage = multer.diskStorage({
@@ -178,26 +382,168 @@ function handleUpload(req, res, next) {
 }
 
 // ─── State ────────────────────────────────────────────────────────────────────
-const games = {};
+const games     = {};
+const lifecycle = lifecycleConfig();
 
-function generatePin() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+function generateEditToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+// Comparaison de secrets en temps constant (les empreintes ont toujours la même longueur)
+function safeEqual(given, expected) {
+  if (typeof given !== 'string' || typeof expected !== 'string' || !expected) return false;
+  const hash = str => crypto.createHash('sha256').update(str).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+function slugify(str) {
+  return (str || '').normalize('NFD').replace(/[^\w]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'quiz';
 }
 function broadcast(game, msg) {
   const data = JSON.stringify(msg);
   game.players.forEach(p => { if (p.ws && p.ws.readyState === WebSocket.OPEN) p.ws.send(data); });
 }
+function isHostConnected(game) {
+  return !!(game.hostWs && game.hostWs.readyState === WebSocket.OPEN);
+}
 function sendToHost(game, msg) {
   if (game.hostWs && game.hostWs.readyState === WebSocket.OPEN)
     game.hostWs.send(JSON.stringify(msg));
 }
+// Écrans spectateurs : même affichage que l'hôte, sans aucune commande ni bonne réponse avant les résultats
+function sendToSpectators(game, msg) {
+  const data = JSON.stringify(msg);
+  game.spectators.forEach(ws => { if (ws.readyState === WebSocket.OPEN) ws.send(data); });
+}
+function sendToScreens(game, msg) {
+  sendToHost(game, msg);
+  sendToSpectators(game, msg);
+}
 function getLeaderboard(game) {
   return [...game.players]
     .sort((a, b) => b.score - a.score)
-    .map((p, i) => ({ rank: i + 1, name: p.name, score: p.score }));
+    .map((p, i) => ({ rank: i + 1, name: p.name, score: p.score, ...(p.team ? { team: p.team } : {}) }));
+}
+// Classement par équipe : somme des points, ou moyenne pour ne pas avantager les grandes équipes
+function getTeamLeaderboard(game) {
+  if (!game.teamMode) return null;
+  return game.teamMode.teams
+    .map(t => {
+      const members = game.players.filter(p => p.team === t.id);
+      const total   = members.reduce((sum, p) => sum + p.score, 0);
+      const score   = game.teamMode.scoring === 'average' && members.length ? Math.round(total / members.length) : total;
+      return { id: t.id, name: t.name, color: t.color, members: members.length, total, score };
+    })
+    .filter(t => t.members > 0)
+    .sort((a, b) => b.score - a.score)
+    .map((t, i) => ({ rank: i + 1, ...t }));
+}
+function smallestTeam(game) {
+  const sizes = game.teamMode.teams.map(t => ({ id: t.id, size: game.players.filter(p => p.team === t.id).length }));
+  return sizes.reduce((min, t) => (t.size < min.size ? t : min)).id;
+}
+function teamInfo(game) {
+  return game.teamMode ? { teams: game.teamMode.teams, assign: game.teamMode.assign, scoring: game.teamMode.scoring } : null;
+}
+function gameOverMessage(game) {
+  const msg = { type: 'game_over', leaderboard: getLeaderboard(game) };
+  if (game.teamMode) msg.teamLeaderboard = getTeamLeaderboard(game);
+  return msg;
+}
+function activePlayerCount(game) {
+  return game.players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN).length;
+}
+function questionTime(game, q) {
+  return q.time || game.time || 20;
+}
+// Comparaison des réponses saisies : sans accents, casse, ponctuation ni espaces superflus
+function normalizeAnswer(str) {
+  return String(str)
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+function parseNumber(value) {
+  const n = typeof value === 'number' ? value : parseFloat(String(value ?? '').replace(',', '.'));
+  return Number.isFinite(n) ? n : null;
+}
+// Pseudo nettoyé, ou error si refusé (vide, grossier ou déjà pris parmi players)
+function checkPlayerName(raw, players) {
+  const name = (typeof raw === 'string' ? raw : '').trim().slice(0, 20).replace(/[<>]/g, '');
+  if (!name) return { error: 'Nom invalide' };
+  if (hasBadWord(name)) return { error: 'Nom inapproprié' };
+  const lowerName = name.toLowerCase();
+  if (players.some(p => p.name.toLowerCase() === lowerName)) return { error: 'Nom déjà pris' };
+  return { name };
+}
+// Avant la révélation, le joueur sait seulement que sa réponse est enregistrée
+function ownAnswer(game, playerId) {
+  const own    = game.answers[playerId];
+  const player = game.players.find(p => p.id === playerId);
+  if (!own || !own.submitted) return null;
+  if (game.state === 'question') return { pending: true };
+  return { correct: own.correct, points: own.points, pending: !!own.pending, bonus: own.bonus || 0, streak: player ? player.streak : 0 };
+}
+// Secondes écoulées depuis le début de la question, temps de pause exclu
+function elapsedTime(game) {
+  return ((game.paused ? game.pausedAt : Date.now()) - game.questionStart) / 1000;
+}
+// Durée de la question en cours, rallonges de l'hôte comprises
+function questionTimeLimit(game) {
+  return questionTime(game, game.questions[game.currentQ]) + game.extraTime;
+}
+function remainingTime(game) {
+  return Math.max(0, Math.ceil(questionTimeLimit(game) - elapsedTime(game)));
+}
+// paused / resumed : le temps restant n'a de sens que pendant une question
+function pauseMessage(game, type) {
+  return { type, state: game.state, time: game.state === 'question' ? remainingTime(game) : null };
+}
+function questionMessage(game, forHost) {
+  const q   = game.questions[game.currentQ];
+  const msg = {
+    type:         'question',
+    index:        game.currentQ,
+    total:        game.questions.length,
+    question:     q.question,
+    // Les orthographes acceptées d'une réponse saisie ne partent qu'à l'hôte
+    answers:      q.type === 'typed' && !forHost ? [] : q.answers,
+    time:         remainingTime(game),
+    questionType: q.type || 'single',
+    image:        q.image || null,
+    points:       q.points ?? 1,
+  };
+  if (q.type === 'numeric') Object.assign(msg, { tolerance: q.tolerance, scoring: q.scoring });
+  if (forHost) msg.correct = q.correct;
+  return msg;
+}
+// forHost : avec la répartition des réponses, pour l'hôte et les écrans spectateurs (réponse déjà révélée)
+function resultMessage(game, forHost) {
+  const q   = game.questions[game.currentQ];
+  const msg = {
+    type:         'question_result',
+    correct:      q.correct,
+    leaderboard:  getLeaderboard(game),
+    questionType: q.type || 'single',
+    isLast:       game.currentQ + 1 >= game.questions.length,
+  };
+  if (game.teamMode) msg.teamLeaderboard = getTeamLeaderboard(game);
+  // Sondage et nuage de mots : la répartition remplace la bonne réponse, pour tout le monde
+  if (forHost || UNSCORED_TYPES.includes(q.type)) msg.answerCounts = getAnswerCounts(game);
+  if (q.type === 'typed') msg.answers = q.answers;
+  return msg;
 }
 function getAnswerCounts(game) {
-  const q      = game.questions[game.currentQ];
+  const q = game.questions[game.currentQ];
+  if (q && ['typed', 'numeric', 'open'].includes(q.type)) return groupFreeAnswers(q, Object.values(game.answers));
+  if (q && q.type === 'ordering') {
+    // Pour chaque élément : nombre de joueurs qui l'ont placé au bon rang
+    const counts = new Array(q.answers.length).fill(0);
+    Object.values(game.answers)
+      .filter(a => a.submitted && Array.isArray(a.answer))
+      .forEach(a => q.correct.forEach((c, k) => { if (a.answer[k] === c) counts[c]++; }));
+    return counts;
+  }
   const count  = q ? q.answers.length : 4;
   const counts = new Array(count).fill(0);
   Object.values(game.answers).forEach(a => {
@@ -206,158 +552,996 @@ function getAnswerCounts(game) {
   });
   return counts;
 }
+// Réponses libres regroupées, les plus fréquentes d'abord : [{ label, count, correct }]
+// Les réponses saisies grossières sont écartées (nuage de mots et résultats sont projetés) avec
+// les listes complètes, ajouts de l'administration compris ; jamais une réponse juste
+function groupFreeAnswers(q, answers) {
+  const groups = new Map();
+  answers
+    .filter(a => a.submitted && a.answer !== null && a.answer !== '')
+    .filter(a => q.type === 'numeric' || a.correct || !hasBadWord(a.answer))
+    .forEach(a => {
+      const key   = q.type === 'numeric' ? String(a.answer) : normalizeAnswer(a.answer);
+      const group = groups.get(key) || { label: String(a.answer), count: 0, correct: !!a.correct };
+      group.count++;
+      groups.set(key, group);
+    });
+  return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, q.type === 'open' ? MAX_CLOUD_WORDS : 10);
+}
 
 // ─── REST : Upload ────────────────────────────────────────────────────────────
 app.post('/api/upload', handleUpload, (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'Aucun fichier reçu', code: 'NO_FILE' });
   const sizeMb = (req.file.size / (1024 * 1024)).toFixed(2);
+  store.uploads.add({ name: req.file.filename, size: req.file.size, createdAt: new Date().toISOString() });
   console.log(`[upload] ✅ ${req.file.filename} — ${sizeMb} Mo`);
   res.json({ url: `/uploads/${req.file.filename}`, filename: req.file.filename, sizeMb: parseFloat(sizeMb) });
 });
 
 app.delete('/api/upload', (req, res) => {
   const { url } = req.body;
-  if (!url || !url.startsWith('/uploads/')) return res.status(400).json({ error: 'URL invalide' });
-  const file = path.join(__dirname, 'public', url);
-  if (fs.existsSync(file)) fs.unlinkSync(file);
+  if (typeof url !== 'string' || !url.startsWith('/uploads/')) return res.status(400).json({ error: 'URL invalide' });
+  // Image encore utilisée par un quiz ou une version de l'historique : laissée au nettoyage des orphelins
+  if (!store.quizzes.imagesInUse().has(path.basename(url))) deleteUpload(url);
   res.json({ ok: true });
 });
 
 // ─── REST : Quiz ──────────────────────────────────────────────────────────────
-app.get('/api/quizzes', (req, res) => {
-  const files = fs.readdirSync(QUIZ_DIR).filter(f => f.endsWith('.json'));
-  const quizzes = files.map(f => {
-    try {
-      const data = JSON.parse(fs.readFileSync(path.join(QUIZ_DIR, f), 'utf8'));
-      return { id: f.replace('.json', ''), name: data.name, questionCount: data.questions.length, createdAt: data.createdAt, lastUsedAt: data.lastUsedAt };
-    } catch { return null; }
-  }).filter(Boolean);
-  res.json(quizzes);
+// Les identifiants de quiz servent de noms de fichiers : pas de séparateur de chemin
+app.param('id', (req, res, next, id) => {
+  if (!/^[\w-]{1,64}$/.test(id)) return res.status(400).json({ error: 'Identifiant invalide' });
+  next();
 });
 
+// Jeton d'édition passé en query (?token=) ou dans le corps JSON
+function readQuizForOwner(req, res) {
+  const token = req.query.token || (req.body && req.body.token);
+  const quiz  = store.quizzes.get(req.params.id);
+  if (!quiz) { res.status(404).json({ error: 'Quiz introuvable' }); return null; }
+  if (!safeEqual(token, quiz.token)) { res.status(403).json({ error: 'Accès refusé' }); return null; }
+  return quiz;
+}
+
+// Vue publique : ni jeton d'édition ni bonnes réponses (l'ordre enregistré d'une remise
+// en ordre est la solution : les éléments sont mélangés)
+function publicQuiz(quiz) {
+  return {
+    id:            quiz.id,
+    name:          quiz.name,
+    description:   quiz.description || '',
+    tags:          quiz.tags || [],
+    language:      quiz.language || null,
+    time:          quiz.time,
+    questionCount: quiz.questions.length,
+    questions:     quiz.questions.map(q => ({
+      question: q.question,
+      type:     q.type,
+      answers:  q.type === 'typed' ? [] : q.type === 'ordering' ? shuffleAnswers(q).answers : q.answers,
+      image:    q.image,
+      time:     q.time,
+      points:   q.points,
+    })),
+  };
+}
+
+// Image supprimée par son URL /uploads/… (basename : jamais en dehors du dossier)
+function deleteUpload(url) {
+  const name = path.basename(url);
+  const file = path.join(UPLOAD_DIR, name);
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  store.uploads.remove(name);
+}
+
+// Supprime le quiz, ses images, ses résultats et ses devoirs (quiz null : illisible, images laissées au nettoyage).
+// Une image reprise dans la banque de questions est conservée.
+function deleteQuizFiles(quizId, quiz) {
+  store.quizzes.remove(quizId);
+  store.results.removeForQuiz(quizId);
+  store.revisions.removeForQuiz(quizId);
+  store.assignments.removeForQuiz(quizId);
+  const used = store.quizzes.imagesInUse();
+  (quiz ? quiz.questions : []).forEach(q => {
+    if (q.image && q.image.startsWith('/uploads/') && !used.has(path.basename(q.image))) deleteUpload(q.image);
+  });
+}
+
+// Avec ?token= valide : le quiz complet pour l'éditeur ; sinon la vue publique, pour les
+// quiz de la bibliothèque seulement (un quiz privé est introuvable, ses identifiants se devinent)
 app.get('/api/quizzes/:id', (req, res) => {
-  const file = path.join(QUIZ_DIR, `${req.params.id}.json`);
-  if (!fs.existsSync(file)) return res.status(404).json({ error: 'Quiz introuvable' });
-  res.json(JSON.parse(fs.readFileSync(file, 'utf8')));
+  const quiz = store.quizzes.get(req.params.id);
+  if (!quiz || (quiz.visibility !== 'public' && !safeEqual(req.query.token, quiz.token)))
+    return res.status(404).json({ error: 'Quiz introuvable' });
+  if (req.query.token) {
+    if (!safeEqual(req.query.token, quiz.token)) return res.status(403).json({ error: 'Accès refusé' });
+    const { token, ...editable } = quiz;
+    return res.json(editable);
+  }
+  res.json(publicQuiz(quiz));
 });
 
 app.post('/api/quizzes', (req, res) => {
-  const { name, questions, time, shuffle, id, token } = req.body;
+  const { name, questions, time, shuffle, scoring, id, token } = req.body;
   if (!name || !name.trim()) return res.status(400).json({ error: 'Nom manquant' });
   if (name.length > MAX_NAME_LEN) return res.status(400).json({ error: 'Nom trop long' });
+  if (hasOffensiveContent(name)) return res.status(400).json({ error: 'Nom inapproprié' });
 
   let sanitized;
-  try { sanitized = sanitizeQuestions(questions); }
+  try { sanitized = sanitizeQuestions(questions, { allowEmpty: sanitizeDraws(req.body.draws).length > 0 }); }
   catch (e) { return res.status(400).json({ error: e.message }); }
 
-  const quizId    = id || Date.now().toString();
-  const editToken = token || Math.random().toString(36).slice(2) + Date.now().toString(36);
-  const file      = path.join(QUIZ_DIR, `${quizId}.json`);
-  const existing  = (id && fs.existsSync(file)) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  // Avec un id, seule la mise à jour d'un quiz existant est permise, jeton d'édition à l'appui
+  let existing = null;
+  if (id !== undefined && id !== null) {
+    if (typeof id !== 'string' || !/^[\w-]{1,64}$/.test(id)) return res.status(400).json({ error: 'Identifiant invalide' });
+    existing = store.quizzes.get(id);
+    if (!existing) return res.status(404).json({ error: 'Quiz introuvable' });
+    if (!safeEqual(token, existing.token)) return res.status(403).json({ error: 'Accès refusé' });
+  }
+
+  const bank = readDrawBank(req, res, existing);
+  if (!bank) return;
+  if (sanitized.length + drawCount(bank.draws) > MAX_QUESTIONS)
+    return res.status(400).json({ error: `Trop de questions (max ${MAX_QUESTIONS}), tirages compris` });
+  if (sanitized.length === 0 && drawQuestions(bank.questions, bank.draws).length === 0)
+    return res.status(400).json({ error: 'Aucune question de la banque ne correspond aux tirages' });
+
+  const quizId = existing ? id : Date.now().toString();
 
   const quiz = {
     id:        quizId,
     name:      name.trim(),
-    token:     existing ? existing.token : editToken,
+    token:     existing ? existing.token : generateEditToken(),
     questions: sanitized,
-    time:      typeof time === 'number' && time >= 5 && time <= 120 ? time : 20,
+    time:      typeof time === 'number' && time >= MIN_Q_TIME && time <= MAX_Q_TIME ? time : 20,
     shuffle:   typeof shuffle === 'boolean' ? shuffle : false,
+    scoring:   sanitizeScoring(scoring),
+    ...sanitizeMetadata(req.body, existing || {}),
+    bankId:    bank.bankId,
+    draws:     bank.draws,
     createdAt: existing ? existing.createdAt : new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     lastUsedAt: existing ? existing.lastUsedAt : null,
   };
-  fs.writeFileSync(file, JSON.stringify(quiz, null, 2));
+  store.quizzes.save(quiz);
+  recordRevision(quiz, existing);
   res.json({ ok: true, id: quizId, token: quiz.token });
 });
 
 app.get('/api/quizzes/:id/verify', (req, res) => {
-  const { token } = req.query;
-  const file = path.join(QUIZ_DIR, `${req.params.id}.json`);
-  if (!fs.existsSync(file)) return res.status(404).json({ error: 'Quiz introuvable' });
-  const quiz = JSON.parse(fs.readFileSync(file, 'utf8'));
-  if (!token || quiz.token !== token) return res.status(403).json({ error: 'Accès refusé' });
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
   res.json({ ok: true, name: quiz.name });
 });
 
-app.delete('/api/quizzes/:id', (req, res) => {
-  const file = path.join(QUIZ_DIR, `${req.params.id}.json`);
-  if (!fs.existsSync(file)) return res.status(404).json({ error: 'Quiz introuvable' });
+// Remplace un jeton d'édition divulgué : l'ancien lien d'édition cesse de fonctionner
+app.post('/api/quizzes/:id/token', (req, res) => {
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
+  quiz.token     = generateEditToken();
+  quiz.updatedAt = new Date().toISOString();
+  store.quizzes.save(quiz);
+  res.json({ ok: true, id: req.params.id, token: quiz.token });
+});
+
+// ─── REST : Historique des versions ───────────────────────────────────────────
+// Chaque sauvegarde alimente la version en cours ; une nouvelle version est ouverte quand
+// la précédente a plus de REVISION_WINDOW_MS, quand des questions disparaissent ou sur demande.
+function recordRevision(quiz, previous, forceNew = false) {
   try {
-    const quiz = JSON.parse(fs.readFileSync(file, 'utf8'));
-    quiz.questions.forEach(q => {
-      if (q.image && q.image.startsWith('/uploads/')) {
-        const imgFile = path.join(__dirname, 'public', q.image);
-        if (fs.existsSync(imgFile)) fs.unlinkSync(imgFile);
-      }
+    let latestId = (store.revisions.list(quiz.id)[0] || {}).id;
+    // Quiz antérieur à l'historique : son état d'avant la sauvegarde devient la première version
+    if (!latestId && previous) {
+      const at = previous.updatedAt || previous.createdAt || new Date().toISOString();
+      latestId = String(new Date(at).getTime() || Date.now());
+      store.revisions.save({ id: latestId, quizId: quiz.id, createdAt: at, savedAt: at, quiz: snapshot(previous) });
+    }
+    const latest  = latestId ? store.revisions.get(quiz.id, latestId) : null;
+    const content = snapshot(quiz);
+    const diff    = latest ? diffQuizzes(latest.quiz, content) : null;
+    if (diff && isEmptyDiff(diff)) return;
+
+    const now   = new Date();
+    const merge = latest && !forceNew && diff.removed.length === 0
+      && now - new Date(latest.createdAt) < REVISION_WINDOW_MS;
+    store.revisions.save({
+      id:        merge ? latest.id : String(Math.max(now.getTime(), latest ? Number(latest.id) + 1 : 0)),
+      quizId:    quiz.id,
+      createdAt: merge ? latest.createdAt : now.toISOString(),
+      savedAt:   now.toISOString(),
+      quiz:      content,
     });
-  } catch {}
-  fs.unlinkSync(file);
+    if (!merge) store.revisions.list(quiz.id).slice(REVISION_LIMIT).forEach(r => store.revisions.remove(quiz.id, r.id));
+  } catch (e) { console.error('[history] Enregistrement de la version impossible :', e); }
+}
+
+function readRevision(res, quizId, revisionId) {
+  if (typeof revisionId !== 'string' || !/^[\w-]{1,64}$/.test(revisionId)) { res.status(400).json({ error: 'Identifiant invalide' }); return null; }
+  const revision = store.revisions.get(quizId, revisionId);
+  if (!revision) { res.status(404).json({ error: 'Version introuvable' }); return null; }
+  return revision;
+}
+
+app.get('/api/quizzes/:id/revisions', (req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  res.json(store.revisions.list(req.params.id));
+});
+
+// Ce qui a changé depuis cette version : jusqu'au quiz actuel, ou jusqu'à la version ?against=
+app.get('/api/quizzes/:id/revisions/:revisionId/diff', (req, res) => {
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
+  const revision = readRevision(res, req.params.id, req.params.revisionId);
+  if (!revision) return;
+  let target = snapshot(quiz);
+  if (req.query.against) {
+    const other = readRevision(res, req.params.id, req.query.against);
+    if (!other) return;
+    target = other.quiz;
+  }
+  res.json({ revision: { id: revision.id, createdAt: revision.createdAt, savedAt: revision.savedAt }, ...diffQuizzes(revision.quiz, target) });
+});
+
+// Remet le contenu d'une version ; l'état remplacé reste dans l'historique
+app.post('/api/quizzes/:id/revisions/:revisionId/restore', (req, res) => {
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
+  const revision = readRevision(res, req.params.id, req.params.revisionId);
+  if (!revision) return;
+  Object.assign(quiz, revision.quiz, { id: req.params.id, updatedAt: new Date().toISOString() });
+  store.quizzes.save(quiz);
+  recordRevision(quiz, null, true);
+  console.log(`[history] ↩ ${quiz.name} restauré à la version du ${revision.savedAt}`);
+  const { token, ...editable } = quiz;
+  res.json({ ok: true, quiz: editable });
+});
+
+app.delete('/api/quizzes/:id', (req, res) => {
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
+  deleteQuizFiles(req.params.id, quiz);
+  res.json({ ok: true });
+});
+
+// ─── REST : Import / export ───────────────────────────────────────────────────
+const MAX_IMPORT_MB = 25;
+const BUNDLE_FORMAT = 'kahut-quiz';
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: MAX_IMPORT_MB * 1024 * 1024, files: 1 },
+});
+
+function handleImport(req, res, next) {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE')
+      return res.status(413).json({ error: 'Fichier trop volumineux', detail: `Max ${MAX_IMPORT_MB} Mo.`, code: 'FILE_TOO_LARGE' });
+    return res.status(400).json({ error: `Erreur d'import : ${err.message}`, code: err.code });
+  });
+}
+
+// Lit un bundle exporté (ou un fichier quizzes/<id>.json brut) :
+// { name, time, shuffle, scoring, description, tags, language, questions, images }
+function parseQuizBundle(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error('JSON invalide'); }
+  const quiz = data && data.format === BUNDLE_FORMAT ? data.quiz : data;
+  if (!quiz || typeof quiz !== 'object') throw new Error('Bundle invalide');
+  return {
+    name:        typeof quiz.name === 'string' ? quiz.name : '',
+    time:        quiz.time,
+    shuffle:     quiz.shuffle,
+    scoring:     quiz.scoring,
+    description: quiz.description,
+    tags:        quiz.tags,
+    language:    quiz.language,
+    questions:   quiz.questions,
+    images:      data.format === BUNDLE_FORMAT && data.images && typeof data.images === 'object' ? data.images : {},
+  };
+}
+
+// Réécrit chaque image sous un nouveau nom dans UPLOAD_DIR (readImage(url) → Buffer | null) ;
+// celles qui ne peuvent être lues sont retirées
+function copyQuestionImages(questions, readImage) {
+  const written = {};
+  return questions.map(q => {
+    if (!q.image) return q;
+    if (!written[q.image]) {
+      const ext  = path.extname(q.image).toLowerCase();
+      const data = readImage(q.image);
+      if (!data || !data.length || data.length > MAX_SIZE_B || !ALLOWED_TYPES.includes(ext)) return { ...q, image: null };
+      const name = Date.now() + '-' + Math.random().toString(36).slice(2) + ext;
+      fs.writeFileSync(path.join(UPLOAD_DIR, name), data);
+      store.uploads.add({ name, size: data.length, createdAt: new Date().toISOString() });
+      written[q.image] = `/uploads/${name}`;
+    }
+    return { ...q, image: written[q.image] };
+  });
+}
+
+function restoreBundleImages(questions, images) {
+  return copyQuestionImages(questions, url => (typeof images[url] === 'string' ? Buffer.from(images[url], 'base64') : null));
+}
+
+app.get('/api/quizzes/:id/export', (req, res) => {
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
+  const images = {};
+  quiz.questions.forEach(q => {
+    if (!q.image || !q.image.startsWith('/uploads/') || images[q.image]) return;
+    const file = path.join(UPLOAD_DIR, path.basename(q.image));
+    if (fs.existsSync(file)) images[q.image] = fs.readFileSync(file).toString('base64');
+  });
+  res.setHeader('Content-Disposition', `attachment; filename="kahut-${slugify(quiz.name)}.json"`);
+  res.json({
+    format:     BUNDLE_FORMAT,
+    version:    1,
+    exportedAt: new Date().toISOString(),
+    quiz:       {
+      name: quiz.name, time: quiz.time, shuffle: quiz.shuffle, scoring: quiz.scoring,
+      description: quiz.description, tags: quiz.tags, language: quiz.language, questions: quiz.questions,
+    },
+    images,
+  });
+});
+
+app.post('/api/quizzes/import', handleImport, (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'Aucun fichier reçu', code: 'NO_FILE' });
+  const ext      = path.extname(req.file.originalname).toLowerCase();
+  const format   = req.body.format || { '.json': 'json', '.csv': 'csv', '.gift': 'gift', '.txt': 'gift' }[ext];
+  const text     = req.file.buffer.toString('utf8');
+  const fileName = path.basename(req.file.originalname, ext);
+
+  let parsed;
+  try {
+    if (format === 'json')      parsed = parseQuizBundle(text);
+    else if (format === 'csv')  parsed = { images: {}, ...parseCsvQuiz(text) };
+    else if (format === 'gift') parsed = { images: {}, ...parseGiftQuiz(text) };
+    else return res.status(415).json({ error: 'Format non supporté (JSON, CSV ou GIFT)', code: 'INVALID_TYPE' });
+  } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  const name = ((typeof req.body.name === 'string' && req.body.name.trim()) || parsed.name || fileName || 'Quiz importé').trim().slice(0, MAX_NAME_LEN);
+  if (hasOffensiveContent(name)) return res.status(400).json({ error: 'Nom inapproprié' });
+
+  let sanitized;
+  try { sanitized = sanitizeQuestions(parsed.questions); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+
+  const quiz = {
+    id:         Date.now().toString(),
+    name,
+    token:      generateEditToken(),
+    questions:  restoreBundleImages(sanitized, parsed.images),
+    time:       typeof parsed.time === 'number' && parsed.time >= MIN_Q_TIME && parsed.time <= MAX_Q_TIME ? parsed.time : 20,
+    shuffle:    typeof parsed.shuffle === 'boolean' ? parsed.shuffle : false,
+    scoring:    sanitizeScoring(parsed.scoring),
+    ...sanitizeMetadata({ ...parsed, visibility: 'private' }),
+    createdAt:  new Date().toISOString(),
+    updatedAt:  new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  store.quizzes.save(quiz);
+  recordRevision(quiz, null);
+  console.log(`[import] ✅ ${quiz.name} — ${quiz.questions.length} question(s) (${format})`);
+  res.json({ ok: true, id: quiz.id, token: quiz.token, questionCount: quiz.questions.length, skipped: parsed.skipped || 0 });
+});
+
+// ─── REST : Bibliothèque ──────────────────────────────────────────────────────
+// Quiz publics uniquement ; recherche dans le nom, la description, les tags et les questions
+app.get('/api/quizzes', (req, res) => {
+  const query = parseLibraryQuery(req.query);
+  const { total, quizzes } = store.quizzes.search({ ...query, visibility: 'public' });
+  res.json({
+    quizzes: quizzes.map(q => ({
+      id: q.id, name: q.name, description: q.description, tags: q.tags, language: q.language,
+      questionCount: q.questionCount, hasImages: q.hasImages, createdAt: q.createdAt, updatedAt: q.updatedAt,
+    })),
+    total,
+    page:  query.page,
+    pages: Math.max(1, Math.ceil(total / query.limit)),
+    limit: query.limit,
+  });
+});
+
+// Copie privée d'un quiz public (ou du sien, jeton à l'appui), images comprises
+app.post('/api/quizzes/:id/duplicate', (req, res) => {
+  const source = store.quizzes.get(req.params.id);
+  if (!source) return res.status(404).json({ error: 'Quiz introuvable' });
+  const token = req.query.token || (req.body && req.body.token);
+  if (source.visibility !== 'public' && !safeEqual(token, source.token)) return res.status(403).json({ error: 'Accès refusé' });
+
+  const quiz = {
+    id:         Date.now().toString(),
+    name:       `${source.name} (copie)`.slice(0, MAX_NAME_LEN),
+    token:      generateEditToken(),
+    questions:  copyQuestionImages(source.questions, url => {
+      const file = path.join(UPLOAD_DIR, path.basename(url));
+      return url.startsWith('/uploads/') && fs.existsSync(file) ? fs.readFileSync(file) : null;
+    }),
+    time:       source.time,
+    shuffle:    source.shuffle,
+    scoring:    sanitizeScoring(source.scoring),
+    ...sanitizeMetadata({ ...source, visibility: 'private' }),
+    bankId:     source.bankId || null,
+    draws:      sanitizeDraws(source.draws),
+    createdAt:  new Date().toISOString(),
+    updatedAt:  new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  store.quizzes.save(quiz);
+  recordRevision(quiz, null);
+  console.log(`[library] 📄 ${source.name} (${source.id}) dupliqué → ${quiz.id}`);
+  res.json({ ok: true, id: quiz.id, token: quiz.token });
+});
+
+// ─── REST : Banque de questions ───────────────────────────────────────────────
+// Une banque a son propre jeton, comme un quiz ; le lien de la banque se partage entre appareils.
+app.param('bankId', (req, res, next, id) => {
+  if (!/^[\w-]{1,64}$/.test(id)) return res.status(400).json({ error: 'Identifiant invalide' });
+  next();
+});
+
+function readBankForOwner(req, res) {
+  const token = req.query.token || (req.body && req.body.token);
+  const bank  = store.banks.get(req.params.bankId);
+  if (!bank) { res.status(404).json({ error: 'Banque de questions introuvable' }); return null; }
+  if (!safeEqual(token, bank.token)) { res.status(403).json({ error: 'Accès refusé' }); return null; }
+  return bank;
+}
+
+// Règles de tirage envoyées par l'éditeur : lier une banque demande son jeton, sauf si le quiz l'utilisait déjà.
+// questions : celles de la banque, pour vérifier que les tirages en trouvent
+function readDrawBank(req, res, existing) {
+  const draws = sanitizeDraws(req.body.draws);
+  if (draws.length === 0) return { bankId: null, draws: [], questions: [] };
+  const bankId = req.body.bankId;
+  const bank   = typeof bankId === 'string' && /^[\w-]{1,64}$/.test(bankId) ? store.banks.get(bankId) : null;
+  if (!bank) { res.status(400).json({ error: 'Banque de questions introuvable' }); return null; }
+  if (!(existing && existing.bankId === bankId) && !safeEqual(req.body.bankToken, bank.token)) {
+    res.status(403).json({ error: 'Accès refusé à la banque de questions' });
+    return null;
+  }
+  return { bankId, draws, questions: bank.questions };
+}
+
+function drawFromBank(quiz) {
+  const draws = sanitizeDraws(quiz.draws);
+  if (draws.length === 0) return [];
+  const bank = quiz.bankId && store.banks.get(quiz.bankId);
+  if (!bank) throw new Error('Banque de questions introuvable');
+  return drawQuestions(bank.questions, draws);
+}
+
+app.post('/api/banks', (req, res) => {
+  const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim().slice(0, MAX_NAME_LEN) : 'Ma banque de questions';
+  const bank = {
+    id:        Date.now().toString(),
+    name,
+    token:     generateEditToken(),
+    questions: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  store.banks.save(bank);
+  res.json({ ok: true, id: bank.id, token: bank.token, name: bank.name });
+});
+
+// Filtres facultatifs : ?tag=&difficulty=&q=
+app.get('/api/banks/:bankId', (req, res) => {
+  const bank = readBankForOwner(req, res);
+  if (!bank) return;
+  const filter = {
+    tag:        sanitizeTags([req.query.tag])[0] || null,
+    difficulty: sanitizeDifficulty(req.query.difficulty),
+    text:       typeof req.query.q === 'string' ? req.query.q.trim() : '',
+  };
+  res.json({
+    id:        bank.id,
+    name:      bank.name,
+    total:     bank.questions.length,
+    tags:      bankTags(bank.questions),
+    questions: bank.questions.filter(q => matchesFilter(q, filter)),
+  });
+});
+
+// Ajoute des questions (vérifiées comme celles d'un quiz) avec les mêmes tags et difficulté
+app.post('/api/banks/:bankId/questions', (req, res) => {
+  const bank = readBankForOwner(req, res);
+  if (!bank) return;
+  let sanitized;
+  try { sanitized = sanitizeQuestions(req.body.questions); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  if (bank.questions.length + sanitized.length > MAX_BANK_QUESTIONS)
+    return res.status(400).json({ error: `Banque pleine (max ${MAX_BANK_QUESTIONS} questions)` });
+
+  const tags       = sanitizeTags(req.body.tags);
+  const difficulty = sanitizeDifficulty(req.body.difficulty);
+  const added = sanitized.map(q => ({
+    ...q,
+    id:        `${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+    tags,
+    difficulty,
+    createdAt: new Date().toISOString(),
+  }));
+  bank.questions.push(...added);
+  bank.updatedAt = new Date().toISOString();
+  store.banks.save(bank);
+  res.json({ ok: true, added: added.map(q => q.id) });
+});
+
+app.delete('/api/banks/:bankId/questions/:questionId', (req, res) => {
+  const bank = readBankForOwner(req, res);
+  if (!bank) return;
+  const index = bank.questions.findIndex(q => q.id === req.params.questionId);
+  if (index === -1) return res.status(404).json({ error: 'Question introuvable' });
+  bank.questions.splice(index, 1);
+  bank.updatedAt = new Date().toISOString();
+  store.banks.save(bank);
   res.json({ ok: true });
 });
 
 // ─── REST : Partie ────────────────────────────────────────────────────────────
-app.post('/api/create', (req, res) => {
-  const { quizId, demo } = req.body;
-  if (!quizId) return res.status(400).json({ error: 'quizId manquant' });
+function shuffleAnswers(q) {
+  const indices = q.answers.map((_, i) => i);
+  for (let i = indices.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  // Un ordre à retrouver ne doit pas être affiché déjà résolu
+  if (q.type === 'ordering' && indices.every((v, i) => v === i)) indices.push(indices.shift());
+  const newAnswers = indices.map(i => q.answers[i]);
+  let newCorrect;
+  if (Array.isArray(q.correct)) {
+    newCorrect = q.correct.map(c => indices.indexOf(c));
+  } else {
+    newCorrect = indices.indexOf(q.correct);
+  }
+  return { ...q, answers: newAnswers, correct: newCorrect };
+}
+
+// Questions d'une partie ou d'un devoir : tirages de la banque (un jeu différent à chaque fois),
+// éléments à remettre dans l'ordre toujours mélangés, les autres selon l'option du quiz
+function prepareQuestions(quiz) {
+  return sanitizeQuestions([...quiz.questions, ...drawFromBank(quiz)]).map(q => {
+    if (q.type === 'ordering') return shuffleAnswers(q);
+    if (quiz.shuffle && (q.type === 'single' || q.type === 'multiple')) return shuffleAnswers(q);
+    return q;
+  });
+}
+
+// { count, assign: 'auto' | 'choice', scoring: 'sum' | 'average' } ou null (partie individuelle)
+function sanitizeTeamMode(teams) {
+  if (!teams || typeof teams !== 'object') return null;
+  const count = Number.isInteger(teams.count) ? Math.min(Math.max(teams.count, 2), TEAMS.length) : 2;
+  return {
+    teams:   TEAMS.slice(0, count),
+    assign:  teams.assign === 'choice' ? 'choice' : 'auto',
+    scoring: teams.scoring === 'average' ? 'average' : 'sum',
+  };
+}
 
-  const file = path.join(QUIZ_DIR, `${quizId}.json`);
-  if (!fs.existsSync(file)) return res.status(404).json({ error: 'Quiz introuvable' });
+app.post('/api/create', async (req, res) => {
+  const { quizId, token, demo, pauseOnHostLeave, hostPaced, teams, approvePlayers } = req.body;
+  if (!quizId) return res.status(400).json({ error: 'quizId manquant' });
+  if (typeof quizId !== 'string' || !/^[\w-]{1,64}$/.test(quizId)) return res.status(400).json({ error: 'Identifiant invalide' });
 
   let quiz;
-  try { quiz = JSON.parse(fs.readFileSync(file, 'utf8')); }
+  try { quiz = store.quizzes.get(quizId); }
   catch (e) { return res.status(500).json({ error: 'Lecture du quiz impossible' }); }
+  if (!quiz) return res.status(404).json({ error: 'Quiz introuvable' });
+  // Un quiz de la bibliothèque peut être lancé par tous ; un quiz privé, par son auteur seulement
+  if (quiz.visibility !== 'public' && !safeEqual(token, quiz.token)) return res.status(403).json({ error: 'Accès refusé' });
 
   let sanitized;
-  try { sanitized = sanitizeQuestions(quiz.questions); }
+  try { sanitized = prepareQuestions(quiz); }
   catch (e) { return res.status(400).json({ error: e.message }); }
 
-  if (quiz.shuffle) {
-    sanitized = sanitized.map(q => {
-      if (q.type === 'truefalse') return q;
-      const indices = q.answers.map((_, i) => i);
-      for (let i = indices.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [indices[i], indices[j]] = [indices[j], indices[i]];
-      }
-      const newAnswers = indices.map(i => q.answers[i]);
-      let newCorrect;
-      if (q.type === 'multiple') {
-        newCorrect = q.correct.map(c => indices.indexOf(c));
-      } else {
-        newCorrect = indices.indexOf(q.correct);
-      }
-      return { ...q, answers: newAnswers, correct: newCorrect };
-    });
+  if (liveGameCount(games) >= lifecycle.maxGames) reapGames();
+  if (liveGameCount(games) >= lifecycle.maxGames)
+    return res.status(503).json({ error: 'Trop de parties en cours, réessayez dans quelques minutes' });
+  let pin;
+  try { pin = await claimFreePin(); }
+  catch (e) {
+    console.error('[cluster] Réservation du code impossible :', e.message);
+    return res.status(503).json({ error: 'Service momentanément indisponible' });
   }
-
-  const pin = generatePin();
+  if (!pin) return res.status(503).json({ error: 'Aucun code de partie disponible' });
   quiz.lastUsedAt = new Date().toISOString();
-  fs.writeFileSync(file, JSON.stringify(quiz, null, 2));
+  // Après un await, une exception ne serait plus rattrapée par Express : le code réservé est rendu
+  try { store.quizzes.save({ ...quiz, id: quiz.id || quizId }); }
+  catch (e) {
+    console.error('[create] Enregistrement du quiz impossible :', e);
+    forgetGame({ pin });
+    return res.status(500).json({ error: 'Création de la partie impossible' });
+  }
 
   games[pin] = {
     pin,
+    quizId:        quiz.id || quizId,
+    quizName:      quiz.name,
+    createdAt:     new Date().toISOString(),
+    lastActivity:  Date.now(),
+    questionLog:   [],
     hostWs:        null,
     players:       [],
     questions:     sanitized,
     time:          typeof quiz.time === 'number' ? quiz.time : 20,
+    scoring:       sanitizeScoring(quiz.scoring),
     currentQ:      -1,
     state:         'lobby',
     timer:         null,
     autoTimer:     null,
     answers:       {},
     questionStart: null,
+    extraTime:     0,
+    paused:        false,
+    pausedAt:      null,
+    // Résultats affichés jusqu'à ce que l'hôte passe à la suite
+    hostPaced:     demo !== true && hostPaced === true,
     demo:          demo === true,
+    hostToken:     crypto.randomBytes(16).toString('hex'),
+    // Écran de projection : lecture seule, rejoint avec ce code
+    spectatorCode: crypto.randomBytes(4).toString('hex'),
+    spectators:    [],
+    // Sans hôte connecté, la partie reste sur l'écran de résultats au lieu d'enchaîner
+    pauseOnHostLeave: demo !== true && pauseOnHostLeave !== false,
+    pausedForHost:    false,
+    teamMode:         demo === true ? null : sanitizeTeamMode(teams),
+    // Modération : joueurs en attente de validation par l'hôte, appareils bannis
+    approvePlayers:   demo !== true && approvePlayers === true,
+    pendingPlayers:   [],
+    bannedDevices:    new Set(),
+  };
+  saveSnapshot(games[pin]);
+  res.json({ pin, demo: demo === true, hostToken: games[pin].hostToken, spectatorCode: games[pin].spectatorCode });
+});
+
+// { status, body } : réponse HTTP calculée par l'instance propriétaire de la partie
+function checkGame({ pin }) {
+  const game = games[pin];
+  if (!game) return { status: 404, body: { error: 'Partie introuvable' } };
+  if (game.state !== 'lobby') return { status: 400, body: { error: 'Partie déjà commencée' } };
+  return { status: 200, body: { ok: true } };
+}
+
+app.get('/api/check/:pin', async (req, res) => {
+  try {
+    const { status, body } = await atOwner('check_game', { pin: req.params.pin }, checkGame);
+    res.status(status).json(body);
+  } catch (e) {
+    res.status(503).json({ error: 'Service momentanément indisponible' });
+  }
+});
+
+// ─── REST : Devoirs ───────────────────────────────────────────────────────────
+// Un devoir fige les questions du quiz au moment de sa création ; chaque élève le joue seul,
+// à son rythme, jusqu'à la date limite. Le serveur chronomètre chaque question et applique
+// les règles de score de la partie. Aucune bonne réponse n'est envoyée aux élèves : le
+// classement et le détail des réponses ne sont visibles que par l'auteur, après la date limite.
+app.param('assignmentId', (req, res, next, id) => {
+  if (!/^[\w-]{1,64}$/.test(id)) return res.status(400).json({ error: 'Identifiant invalide' });
+  next();
+});
+
+// Lecture, modification et écriture d'une tentative sans qu'une autre instance (même base SQLite)
+// écrive entre-temps : deux réponses simultanées ne s'écrasent pas
+const transactional = handler => (req, res) => store.transaction(() => handler(req, res));
+
+function readAssignment(req, res) {
+  const assignment = store.assignments.get(req.params.assignmentId);
+  if (!assignment) { res.status(404).json({ error: 'Devoir introuvable' }); return null; }
+  return assignment;
+}
+
+// Jeton de l'élève en query (?token=) ou dans le corps JSON
+function readAttempt(req, res) {
+  const assignment = readAssignment(req, res);
+  if (!assignment) return null;
+  const token   = req.query.token || (req.body && req.body.token);
+  const attempt = store.attempts.get(assignment.id, req.params.attemptId);
+  if (!attempt || !safeEqual(token, attempt.token)) { res.status(403).json({ error: 'Session expirée' }); return null; }
+  return { assignment, attempt };
+}
+
+// Vue « partie » d'une tentative : questionMessage, elapsedTime et awardPoints s'y appliquent tels quels
+function attemptView(assignment, attempt) {
+  return {
+    questions:     assignment.questions,
+    currentQ:      attempt.currentQ,
+    time:          assignment.time,
+    scoring:       assignment.scoring,
+    questionStart: attempt.questionStart,
+    extraTime:     0,
+    paused:        false,
+  };
+}
+
+// Question en cours restée sans réponse après le chrono (et la marge réseau) : comptée manquée
+function expireQuestion(assignment, attempt) {
+  const view = attemptView(assignment, attempt);
+  const q    = assignment.questions[attempt.currentQ];
+  if (!q || attempt.answers[attempt.currentQ]) return false;
+  if (elapsedTime(view) * 1000 <= questionTimeLimit(view) * 1000 + ANSWER_GRACE_MS) return false;
+  attempt.answers[attempt.currentQ] = { answer: null, correct: false, points: 0, bonus: 0, time: null, submitted: false, pending: false };
+  if (!UNSCORED_TYPES.includes(q.type)) attempt.streak = 0;
+  return true;
+}
+
+function homeworkDoneMessage(assignment, attempt) {
+  return {
+    type:     'homework_done',
+    score:    attempt.score,
+    answered: attempt.answers.filter(a => a && a.submitted).length,
+    total:    assignment.questions.length,
+    closesAt: assignment.closesAt,
+  };
+}
+
+// Numérique « le plus proche » : départagé entre tous les élèves une fois le devoir fermé,
+// sans bonus de série (l'ordre des réponses n'a plus de sens à ce moment-là) ; renvoie les tentatives modifiées
+function scoreClosestHomework(assignment, attempts) {
+  const scored = new Set();
+  assignment.questions.forEach((q, i) => {
+    if (q.type !== 'numeric' || q.scoring !== 'closest') return;
+    const pending = attempts.filter(a => a.answers[i] && a.answers[i].pending);
+    if (pending.length === 0) return;
+    const closest = closestAnswers(pending.map(a => a.answers[i].answer), q.correct);
+    pending.forEach((attempt, k) => {
+      const record   = attempt.answers[i];
+      const player   = { score: attempt.score, streak: 0 };
+      record.pending = false;
+      record.correct = closest[k];
+      awardPoints(assignment, q, player, record, 0);
+      attempt.score  = player.score;
+      scored.add(attempt);
+    });
+  });
+  return scored;
+}
+
+// Devoir fermé : points en attente attribués et résultat enregistré avec ceux des parties
+function finalizeAssignment(assignment) {
+  if (assignment.resultId) return;
+  const attempts = store.attempts.list(assignment.id);
+  scoreClosestHomework(assignment, attempts).forEach(a => store.attempts.save(assignment.id, a));
+  const result   = {
+    id:           `${Date.now()}-${assignment.id}`,
+    quizId:       assignment.quizId,
+    quizName:     assignment.quizName,
+    homework:     true,
+    assignmentId: assignment.id,
+    startedAt:    assignment.opensAt,
+    endedAt:      assignment.closesAt,
+    players:      homeworkLeaderboard(attempts),
+    teams:        null,
+    questions:    assignment.questions.map((q, i) => {
+      const answers = {};
+      attempts.forEach(a => { if (a.answers[i] && a.answers[i].submitted) answers[a.id] = a.answers[i]; });
+      return {
+        question:     q.question,
+        type:         q.type,
+        answers:      q.answers,
+        correct:      q.correct,
+        played:       attempts.some(a => a.currentQ >= i),
+        participants: attempts.filter(a => a.currentQ >= i).length,
+        answerCounts: getAnswerCounts({ questions: assignment.questions, currentQ: i, answers }),
+        responses:    attempts.filter(a => answers[a.id]).map(a => {
+          const r = answers[a.id];
+          return { name: a.name, answer: r.answer, correct: r.correct, points: r.points, time: r.time };
+        }),
+      };
+    }),
+  };
+  store.results.save(result);
+  assignment.resultId = result.id;
+  store.assignments.save(assignment);
+}
+
+function assignmentInfo(summary) {
+  return { ...summary, status: assignmentStatus(summary) };
+}
+
+app.post('/api/quizzes/:id/assignments', (req, res) => {
+  const quiz = readQuizForOwner(req, res);
+  if (!quiz) return;
+  if (store.assignments.list(quiz.id).length >= MAX_ASSIGNMENTS)
+    return res.status(400).json({ error: `Trop de devoirs pour ce quiz (max ${MAX_ASSIGNMENTS})` });
+  let schedule, questions;
+  try {
+    schedule  = sanitizeSchedule(req.body);
+    questions = prepareQuestions(quiz);
+  } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  const assignment = {
+    id:        crypto.randomBytes(8).toString('hex'),
+    quizId:    quiz.id,
+    quizName:  quiz.name,
+    createdAt: new Date().toISOString(),
+    ...schedule,
+    time:      typeof quiz.time === 'number' ? quiz.time : 20,
+    scoring:   sanitizeScoring(quiz.scoring),
+    questions,
+    resultId:  null,
   };
-  res.json({ pin, demo: demo === true });
+  store.assignments.save(assignment);
+  res.json({ ok: true, id: assignment.id, ...schedule });
 });
 
-app.get('/api/check/:pin', (req, res) => {
-  const game = games[req.params.pin];
-  if (!game) return res.status(404).json({ error: 'Partie introuvable' });
-  if (game.state !== 'lobby') return res.status(400).json({ error: 'Partie déjà commencée' });
+app.get('/api/quizzes/:id/assignments', (req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  res.json(store.assignments.list(req.params.id).map(assignmentInfo));
+});
+
+// Classement du devoir, disponible une fois la date limite passée
+app.get('/api/quizzes/:id/assignments/:assignmentId/results', transactional((req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  const assignment = readAssignment(req, res);
+  if (!assignment) return;
+  if (assignment.quizId !== req.params.id) return res.status(404).json({ error: 'Devoir introuvable' });
+  if (assignmentStatus(assignment) !== 'closed')
+    return res.status(400).json({ error: 'Classement disponible après la date limite' });
+  finalizeAssignment(assignment);
+  res.json({ resultId: assignment.resultId, leaderboard: homeworkLeaderboard(store.attempts.list(assignment.id)) });
+}));
+
+app.delete('/api/quizzes/:id/assignments/:assignmentId', (req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  const assignment = readAssignment(req, res);
+  if (!assignment) return;
+  if (assignment.quizId !== req.params.id) return res.status(404).json({ error: 'Devoir introuvable' });
+  store.assignments.remove(assignment.id);
   res.json({ ok: true });
 });
 
+// Page d'accueil du devoir (lien partagé aux élèves)
+app.get('/api/assignments/:assignmentId', (req, res) => {
+  const assignment = readAssignment(req, res);
+  if (!assignment) return;
+  res.json({
+    id:            assignment.id,
+    quizName:      assignment.quizName,
+    questionCount: assignment.questions.length,
+    opensAt:       assignment.opensAt,
+    closesAt:      assignment.closesAt,
+    status:        assignmentStatus(assignment),
+  });
+});
+
+app.post('/api/assignments/:assignmentId/attempts', transactional((req, res) => {
+  const assignment = readAssignment(req, res);
+  if (!assignment) return;
+  const status = assignmentStatus(assignment);
+  if (status === 'upcoming') return res.status(400).json({ error: "Le devoir n'est pas encore ouvert" });
+  if (status === 'closed')   return res.status(400).json({ error: 'Devoir terminé' });
+  const attempts = store.attempts.list(assignment.id);
+  if (attempts.length >= MAX_HOMEWORK_PLAYERS) return res.status(400).json({ error: 'Devoir complet' });
+  const { name, error } = checkPlayerName(req.body.name, attempts);
+  if (error) return res.status(400).json({ error });
+
+  const attempt = {
+    id:            crypto.randomBytes(8).toString('hex'),
+    token:         crypto.randomBytes(16).toString('hex'),
+    name,
+    startedAt:     new Date().toISOString(),
+    finishedAt:    null,
+    score:         0,
+    streak:        0,
+    currentQ:      -1,
+    questionStart: null,
+    answers:       [],
+  };
+  store.attempts.save(assignment.id, attempt);
+  res.json({ ok: true, attemptId: attempt.id, token: attempt.token, name, total: assignment.questions.length });
+}));
+
+// Reprise après rechargement de la page
+app.get('/api/assignments/:assignmentId/attempts/:attemptId', (req, res) => {
+  const found = readAttempt(req, res);
+  if (!found) return;
+  const { assignment, attempt } = found;
+  res.json({
+    name:     attempt.name,
+    score:    attempt.score,
+    streak:   attempt.streak,
+    index:    attempt.currentQ,
+    total:    assignment.questions.length,
+    finished: !!attempt.finishedAt,
+  });
+});
+
+// Question suivante ; la question en cours sans réponse est renvoyée avec le temps qu'il lui reste
+app.post('/api/assignments/:assignmentId/attempts/:attemptId/next', transactional((req, res) => {
+  const found = readAttempt(req, res);
+  if (!found) return;
+  const { assignment, attempt } = found;
+  if (attempt.finishedAt) return res.json(homeworkDoneMessage(assignment, attempt));
+
+  const expired = expireQuestion(assignment, attempt);
+  const closed  = assignmentStatus(assignment) === 'closed';
+  if (!closed && attempt.currentQ >= 0 && !attempt.answers[attempt.currentQ])
+    return res.json(questionMessage(attemptView(assignment, attempt), false));
+
+  if (closed || attempt.currentQ + 1 >= assignment.questions.length) {
+    attempt.finishedAt = new Date().toISOString();
+    store.attempts.save(assignment.id, attempt);
+    return res.json(homeworkDoneMessage(assignment, attempt));
+  }
+  attempt.currentQ++;
+  attempt.questionStart = Date.now();
+  store.attempts.save(assignment.id, attempt);
+  res.json({ ...questionMessage(attemptView(assignment, attempt), false), expired });
+}));
+
+app.post('/api/assignments/:assignmentId/attempts/:attemptId/answer', transactional((req, res) => {
+  const found = readAttempt(req, res);
+  if (!found) return;
+  const { assignment, attempt } = found;
+  if (assignmentStatus(assignment) === 'closed') return res.status(400).json({ error: 'Devoir terminé' });
+  const q = assignment.questions[attempt.currentQ];
+  if (!q || attempt.finishedAt || attempt.answers[attempt.currentQ])
+    return res.status(400).json({ error: 'Aucune question en cours' });
+
+  const isLast = attempt.currentQ + 1 >= assignment.questions.length;
+  if (expireQuestion(assignment, attempt)) {
+    store.attempts.save(assignment.id, attempt);
+    return res.json({ type: 'answer_received', correct: false, points: 0, pending: false, streak: 0, bonus: 0, score: attempt.score, timedOut: true, isLast });
+  }
+
+  const invalid = answerError(q, req.body.answer);
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const view    = attemptView(assignment, attempt);
+  const elapsed = Math.min(elapsedTime(view), questionTimeLimit(view));
+  const { answer, correct, credit, pending } = gradeAnswer(q, req.body.answer, assignment.scoring);
+  const record = { answer, correct, points: 0, bonus: 0, time: Math.round(elapsed * 10) / 10, submitted: true, pending };
+  if (!pending) awardPoints(assignment, q, attempt, record, credit);
+  attempt.answers[attempt.currentQ] = record;
+  store.attempts.save(assignment.id, attempt);
+  res.json({ type: 'answer_received', correct, points: record.points, pending, streak: attempt.streak, bonus: record.bonus, score: attempt.score, isLast });
+}));
+
+// ─── REST : Résultats ─────────────────────────────────────────────────────────
+app.get('/api/quizzes/:id/results', (req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  const results = store.results.list(req.params.id)
+    .sort((a, b) => (b.endedAt || '').localeCompare(a.endedAt || ''));
+  res.json(results);
+});
+
+app.get('/api/quizzes/:id/results/:resultId', (req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  if (!/^[\w-]+$/.test(req.params.resultId)) return res.status(400).json({ error: 'Identifiant invalide' });
+  const result = store.results.get(req.params.id, req.params.resultId);
+  if (!result) return res.status(404).json({ error: 'Résultat introuvable' });
+  res.json({ ...result, stats: computeResultStats(result) });
+});
+
+app.get('/api/quizzes/:id/results/:resultId/export', (req, res) => {
+  if (!readQuizForOwner(req, res)) return;
+  if (!/^[\w-]+$/.test(req.params.resultId)) return res.status(400).json({ error: 'Identifiant invalide' });
+  const result = store.results.get(req.params.id, req.params.resultId);
+  if (!result) return res.status(404).json({ error: 'Résultat introuvable' });
+  sendReport(res, result, req.query.format);
+});
+
+// Export d'une partie encore en mémoire (en cours ou terminée), réservé à l'hôte
+// { status, body } : body est le résultat de la partie, mis en forme par l'instance qui répond
+function exportGame({ pin, host }) {
+  const game = games[pin];
+  if (!game) return { status: 404, body: { error: 'Partie introuvable' } };
+  if (!safeEqual(host, game.hostToken)) return { status: 403, body: { error: 'Accès refusé' } };
+  return { status: 200, body: buildGameResult(game) };
+}
+
+app.get('/api/games/:pin/export', async (req, res) => {
+  let result;
+  try { result = await atOwner('export_game', { pin: req.params.pin, host: req.query.host }, exportGame); }
+  catch (e) { return res.status(503).json({ error: 'Service momentanément indisponible' }); }
+  if (result.status !== 200) return res.status(result.status).json(result.body);
+  try { sendReport(res, result.body, req.query.format); }
+  catch (e) { res.status(500).json({ error: 'Erreur serveur' }); }
+});
+
 // ─── WebSocket ────────────────────────────────────────────────────────────────
 wss.on('connection', (ws) => {
   ws.on('message', (raw) => {
@@ -366,167 +1550,389 @@ wss.on('connection', (ws) => {
 
     let msg;
     try { msg = JSON.parse(raw); } catch { return; }
+    if (msg && typeof msg === 'object') relay.routeMessage(ws, msg);
+  });
+  ws.on('close', () => relay.routeClose(ws));
+});
 
-    const { type, pin } = msg;
-    if (pin && !/^\d{6}$/.test(pin)) return;
-    const game = games[pin];
+// Message d'un client pour une partie de cette instance ; ws est le socket du client,
+// ou son relais quand il est connecté à une autre instance
+function handleClientMessage(ws, msg) {
+  const { type, pin } = msg;
+  if (pin && !/^\d{6}$/.test(pin)) return;
+  const game = games[pin];
+  if (game) {
+    game.lastActivity = Date.now();
+    scheduleSnapshot(game);
+  }
 
-    if (type === 'host_join') {
-      if (!game) return ws.send(JSON.stringify({ type: 'error', message: 'Partie introuvable' }));
-      game.hostWs = ws;
-      ws.gamePin  = pin;
-      ws.role     = 'host';
-      ws.send(JSON.stringify({ type: 'host_joined', pin }));
-      return;
+  if (type === 'host_join') {
+    if (!game) return ws.send(JSON.stringify({ type: 'error', message: 'Partie introuvable' }));
+    if (!safeEqual(msg.hostToken, game.hostToken))
+      return ws.send(JSON.stringify({ type: 'error', message: 'Accès hôte refusé' }));
+
+    // Reprise de contrôle : l'ancien contrôleur est détaché puis fermé
+    const returning = game.hostWs !== null;
+    if (game.hostWs && game.hostWs !== ws) {
+      const oldWs = game.hostWs;
+      oldWs.role  = null;
+      if (oldWs.readyState === WebSocket.OPEN) oldWs.close(CLOSE_REPLACED, 'Session reprise ailleurs');
     }
+    game.hostWs = ws;
+    ws.gamePin  = pin;
+    ws.role     = 'host';
+    sendGameState(game, ws, true);
+
+    if (returning) broadcast(game, { type: 'host_returned' });
+    if (game.pausedForHost) {
+      game.pausedForHost = false;
+      scheduleAutoAdvance(game);
+    }
+    return;
+  }
 
-    if (type === 'player_join') {
-      if (!game) return ws.send(JSON.stringify({ type: 'error', message: 'Code invalide' }));
-      if (game.state !== 'lobby') return ws.send(JSON.stringify({ type: 'error', message: 'Partie déjà commencée' }));
-      if (game.players.length >= MAX_PLAYERS) return ws.send(JSON.stringify({ type: 'error', message: 'Partie pleine' }));
-      let name = (msg.name || '').trim().slice(0, 20).replace(/[<>]/g, '');
-      if (!name) return ws.send(JSON.stringify({ type: 'error', message: 'Nom invalide' }));
-      if (hasBadWord(name)) return ws.send(JSON.stringify({ type: 'error', message: 'Nom inapproprié' }));
-      const lowerName = name.toLowerCase();
-      if (game.players.find(p => p.name.toLowerCase() === lowerName))
-        return ws.send(JSON.stringify({ type: 'error', message: 'Nom déjà pris' }));
-
-      const playerId = Date.now().toString() + Math.random().toString(36).slice(2);
-      ws.playerId = playerId;
-      ws.gamePin  = pin;
-      ws.role     = 'player';
-      game.players.push({ id: playerId, name, score: 0, ws });
-      
-      const isDemoPlayer = game.demo && name === 'Éditeur Démo';
-      
-      if (isDemoPlayer) {
-        const demoData = {
-          type: 'joined',
-          playerId,
-          name,
-          demo: true,
-          questions: game.questions,
-          time: game.time
-        };
-        ws.send(JSON.stringify(demoData));
-      } else {
-        ws.send(JSON.stringify({ type: 'joined', playerId, name }));
-      }
-      sendToHost(game, { type: 'player_joined', name, count: game.players.length });
+  if (type === 'spectator_join') {
+    if (!game) return ws.send(JSON.stringify({ type: 'error', message: 'Partie introuvable' }));
+    if (!safeEqual(msg.code, game.spectatorCode))
+      return ws.send(JSON.stringify({ type: 'error', message: 'Code spectateur invalide' }));
+    game.spectators = game.spectators.filter(s => s.readyState === WebSocket.OPEN && s !== ws);
+    if (game.spectators.length >= MAX_SPECTATORS)
+      return ws.send(JSON.stringify({ type: 'error', message: "Trop d'écrans spectateurs" }));
+    game.spectators.push(ws);
+    ws.gamePin = pin;
+    ws.role    = 'spectator';
+    sendGameState(game, ws, false);
+    return;
+  }
 
-      if (isDemoPlayer) {
-        setTimeout(() => nextQuestion(game), 500);
-      }
+  if (type === 'player_join') {
+    if (!game) return ws.send(JSON.stringify({ type: 'error', message: 'Code invalide' }));
+    if (game.state !== 'lobby') return ws.send(JSON.stringify({ type: 'error', message: 'Partie déjà commencée' }));
+    if (game.players.length + game.pendingPlayers.length >= MAX_PLAYERS)
+      return ws.send(JSON.stringify({ type: 'error', message: 'Partie pleine' }));
+    // Identifiant d'appareil gardé par le navigateur, pour que le bannissement survive à un rechargement
+    const deviceId = typeof msg.deviceId === 'string' && /^[\w-]{8,64}$/.test(msg.deviceId) ? msg.deviceId : null;
+    if (deviceId && game.bannedDevices.has(deviceId))
+      return ws.send(JSON.stringify({ type: 'error', message: 'Vous avez été exclu de cette partie' }));
+    const { name, error } = checkPlayerName(msg.name, [...game.players, ...game.pendingPlayers]);
+    if (error) return ws.send(JSON.stringify({ type: 'error', message: error }));
+
+    const playerId = Date.now().toString() + Math.random().toString(36).slice(2);
+    ws.playerId = playerId;
+    ws.gamePin  = pin;
+
+    if (game.approvePlayers) {
+      ws.role = 'pending';
+      game.pendingPlayers.push({ id: playerId, name, ws, deviceId });
+      ws.send(JSON.stringify({ type: 'waiting_approval', name }));
+      sendToHost(game, { type: 'player_pending', name });
       return;
     }
+    admitPlayer(game, { id: playerId, name, ws, deviceId });
+    return;
+  }
 
-    if (!game) return;
+  if (type === 'player_rejoin') {
+    if (!game) return ws.send(JSON.stringify({ type: 'rejoin_failed', message: 'Partie introuvable' }));
+    const player = game.players.find(p => p.id === msg.playerId);
+    if (!player || !player.rejoinToken || !safeEqual(msg.rejoinToken, player.rejoinToken))
+      return ws.send(JSON.stringify({ type: 'rejoin_failed', message: 'Session expirée' }));
+
+    // Un ancien socket encore ouvert (onglet dupliqué, réseau instable) est détaché puis fermé
+    if (player.ws && player.ws !== ws) {
+      const oldWs = player.ws;
+      oldWs.role  = null;
+      if (oldWs.readyState === WebSocket.OPEN) oldWs.close(CLOSE_REPLACED, 'Session reprise ailleurs');
+    }
+    player.ws   = ws;
+    ws.playerId = player.id;
+    ws.gamePin  = pin;
+    ws.role     = 'player';
+
+    // Les points de la question en cours ne sont montrés qu'avec les résultats
+    const score = player.score - (game.state === 'question' ? game.answers[player.id]?.points || 0 : 0);
+    ws.send(JSON.stringify({
+      type: 'rejoined', playerId: player.id, name: player.name, score, state: game.state,
+      team: player.team, teamMode: teamInfo(game),
+    }));
+    const answered = ownAnswer(game, player.id);
+    if (game.state === 'question')      ws.send(JSON.stringify({ ...questionMessage(game, false), answered }));
+    else if (game.state === 'q_result') ws.send(JSON.stringify({ ...resultMessage(game, false), answered }));
+    else if (game.state === 'final')    ws.send(JSON.stringify(gameOverMessage(game)));
+    if (game.paused) ws.send(JSON.stringify(pauseMessage(game, 'paused')));
+
+    sendToScreens(game, { type: 'player_joined', name: player.name, count: activePlayerCount(game), rejoin: true, team: player.team });
+    return;
+  }
 
-    if (type === 'start_game' && ws.role === 'host') {
-      if (game.players.length === 0 && !game.demo) return sendToHost(game, { type: 'error', message: 'Aucun joueur' });
-      if (game.demo) {
-        const demoId = 'demo-player';
-        const demoPlayer = { id: demoId, name: 'Démonstration', score: 0, ws: null };
-        game.players.push(demoPlayer);
-        sendToHost(game, { type: 'player_joined', name: 'Démonstration', count: 1 });
-      }
-      nextQuestion(game);
-      return;
+  if (!game) return;
+
+  if (type === 'start_game' && ws.role === 'host') {
+    if (game.state !== 'lobby') return;
+    if (game.players.length === 0 && !game.demo) return sendToHost(game, { type: 'error', message: 'Aucun joueur' });
+    [...game.pendingPlayers].forEach(p => removePlayer(game, p, CLOSE_KICKED, 'Partie commencée avant votre validation'));
+    if (game.demo) {
+      const demoId = 'demo-player';
+      const demoPlayer = { id: demoId, name: 'Démonstration', score: 0, streak: 0, ws: null };
+      game.players.push(demoPlayer);
+      sendToScreens(game, { type: 'player_joined', name: 'Démonstration', count: 1 });
     }
-    if (type === 'next_question' && ws.role === 'host') {
-      if (game.state === 'q_result') nextQuestion(game);
-      return;
+    nextQuestion(game);
+    return;
+  }
+  if (type === 'choose_team' && ws.role === 'player') {
+    if (!game.teamMode || game.teamMode.assign !== 'choice' || game.state !== 'lobby') return;
+    const player = game.players.find(p => p.id === ws.playerId);
+    if (!player || !game.teamMode.teams.some(t => t.id === msg.team)) return;
+    player.team = msg.team;
+    ws.send(JSON.stringify({ type: 'team_changed', team: player.team }));
+    sendToScreens(game, { type: 'team_changed', name: player.name, team: player.team });
+    return;
+  }
+  if (type === 'next_question' && ws.role === 'host') {
+    if (game.state === 'q_result') nextQuestion(game);
+    return;
+  }
+  if (type === 'pause' && ws.role === 'host') {
+    pauseGame(game);
+    return;
+  }
+  if (type === 'resume' && ws.role === 'host') {
+    resumeGame(game);
+    return;
+  }
+  if (type === 'extend_time' && ws.role === 'host') {
+    if (game.state !== 'question') return;
+    game.extraTime += EXTEND_SECONDS;
+    if (!game.paused) startQuestionTimer(game);
+    const extended = { type: 'time_extended', seconds: EXTEND_SECONDS, time: remainingTime(game) };
+    sendToScreens(game, extended);
+    broadcast(game, extended);
+    return;
+  }
+  if (type === 'skip_question' && ws.role === 'host') {
+    if (game.state === 'question') skipQuestion(game);
+    return;
+  }
+  if (type === 'end_game' && ws.role === 'host') {
+    endGame(game);
+    return;
+  }
+  if (type === 'set_approval' && ws.role === 'host') {
+    if (game.state !== 'lobby' || game.demo) return;
+    game.approvePlayers = msg.enabled === true;
+    // Sans validation, les joueurs en attente entrent tous
+    if (!game.approvePlayers) [...game.pendingPlayers].forEach(p => approvePlayer(game, p));
+    sendToHost(game, { type: 'approval_changed', enabled: game.approvePlayers });
+    return;
+  }
+  if (['kick_player', 'ban_player', 'rename_player', 'approve_player'].includes(type) && ws.role === 'host') {
+    if (game.state === 'final') return;
+    const player = findPlayerByName(game, msg.name);
+    if (!player) return sendToHost(game, { type: 'error', message: 'Joueur introuvable' });
+    if (type === 'kick_player') removePlayer(game, player, CLOSE_KICKED, "Vous avez été exclu par l'hôte");
+    if (type === 'ban_player') {
+      if (player.deviceId) game.bannedDevices.add(player.deviceId);
+      removePlayer(game, player, CLOSE_BANNED, "Vous avez été banni de cette partie par l'hôte");
     }
-    if (type === 'end_game' && ws.role === 'host') {
-      endGame(game);
+    // Les réponses consignées sont rattachées au pseudo : pas de renommage une fois la partie lancée
+    if (type === 'rename_player') {
+      if (game.state !== 'lobby') return sendToHost(game, { type: 'error', message: 'Renommage possible seulement dans le lobby' });
+      renamePlayer(game, player, msg.newName);
+    }
+    if (type === 'approve_player') approvePlayer(game, player);
+    return;
+  }
+
+  if (type === 'answer' && ws.role === 'player') {
+    const player = game.players.find(p => p.id === ws.playerId);
+    if (!player) return;
+    const reject = message => ws.send(JSON.stringify({ type: 'answer_rejected', message }));
+
+    // Le chrono fait foi côté serveur, avec une marge pour la latence réseau
+    if (game.state === 'q_result') return reject('Temps écoulé, réponse refusée');
+    if (game.state !== 'question') return reject('Aucune question en cours');
+    if (game.paused) return reject('Partie en pause, réponse refusée');
+    const elapsed = elapsedTime(game);
+    if (elapsed * 1000 > questionTimeLimit(game) * 1000 + ANSWER_GRACE_MS) return reject('Temps écoulé, réponse refusée');
+    if (game.answers[ws.playerId]?.submitted) return reject('Réponse déjà envoyée');
+
+    const q     = game.questions[game.currentQ];
+    const error = answerError(q, msg.answer);
+    if (error) return reject(error);
+
+    // Choix multiple : la sélection en cours est gardée jusqu'à la validation
+    if (q.type === 'multiple' && !msg.final) {
+      game.answers[ws.playerId] = { answer: msg.answer, submitted: false };
       return;
     }
 
-    if (type === 'answer' && ws.role === 'player') {
-      if (game.state !== 'question') return;
-      const player = game.players.find(p => p.id === ws.playerId);
-      if (!player) return;
+    const { answer, correct, credit, pending } = gradeAnswer(q, msg.answer, game.scoring);
+    const record = { answer, correct, points: 0, bonus: 0, time: Math.round(Math.min(elapsed, questionTimeLimit(game)) * 10) / 10, submitted: true, pending };
+    if (!pending) awardPoints(game, q, player, record, credit);
+    game.answers[ws.playerId] = record;
+    // Correction et points n'arrivent qu'avec les résultats de la question
+    ws.send(JSON.stringify({ type: 'answer_received', pending: true }));
+
+    const submittedCount = Object.values(game.answers).filter(a => a.submitted).length;
+    sendToScreens(game, { type: 'answer_count', count: submittedCount, total: activePlayerCount(game) });
+    if (q.type === 'open') sendToScreens(game, { type: 'word_cloud', words: getAnswerCounts(game) });
+    revealIfAllAnswered(game);
+  }
+}
 
-      const q          = game.questions[game.currentQ];
-      const isMultiple = q.type === 'multiple';
+function handleClientClose(ws) {
+  if (!ws.gamePin) return;
+  const game = games[ws.gamePin];
+  if (!game) return;
 
-      if (isMultiple) {
-        if (!msg.final) {
-          game.answers[ws.playerId] = { answer: msg.answer, submitted: false };
-          return;
-        }
-        if (game.answers[ws.playerId]?.submitted) return;
-      } else {
-        if (game.answers[ws.playerId]?.submitted) return;
-      }
+  if (ws.role === 'player') {
+    const player = game.players.find(p => p.id === ws.playerId);
+    if (player && player.ws === ws) player.ws = null;
+    sendToScreens(game, { type: 'player_left', name: player ? player.name : null, count: activePlayerCount(game) });
+    revealIfAllAnswered(game);
+  }
+  if (ws.role === 'pending') {
+    const pending = game.pendingPlayers.find(p => p.ws === ws);
+    game.pendingPlayers = game.pendingPlayers.filter(p => p.ws !== ws);
+    if (pending) sendToHost(game, { type: 'pending_left', name: pending.name });
+  }
+  if (ws.role === 'host') {
+    broadcast(game, { type: 'host_left', paused: game.pauseOnHostLeave && game.state !== 'final' });
+  }
+  if (ws.role === 'spectator') game.spectators = game.spectators.filter(s => s !== ws);
+}
 
-      const elapsed   = (Date.now() - game.questionStart) / 1000;
-      const timeLimit = game.time || 20;
-      let isCorrect   = false;
-      let points      = 0;
-
-      if (isMultiple) {
-        const correctSet = new Set(q.correct);
-        const givenSet   = new Set(Array.isArray(msg.answer) ? msg.answer : []);
-        const allCorrect = [...correctSet].every(i => givenSet.has(i));
-        const noWrong    = [...givenSet].every(i => correctSet.has(i));
-        isCorrect = allCorrect && noWrong && givenSet.size > 0;
-        if (isCorrect) {
-          const ratio = Math.max(0, (timeLimit - elapsed) / timeLimit);
-          points = Math.round(500 + 500 * ratio);
-          player.score += points;
-        } else if ([...givenSet].every(i => correctSet.has(i)) && givenSet.size > 0) {
-          points = Math.round(([...givenSet].filter(i => correctSet.has(i)).length / correctSet.size) * 300);
-          player.score += points;
-        }
-      } else {
-        isCorrect = msg.answer === q.correct;
-        if (isCorrect) {
-          const ratio = Math.max(0, (timeLimit - elapsed) / timeLimit);
-          points = Math.round(500 + 500 * ratio);
-          player.score += points;
-        }
-      }
+// ─── Plusieurs instances ──────────────────────────────────────────────────────
+// Avec CLUSTER=redis, un client peut arriver sur une autre instance que celle de sa partie :
+// elle lui sert alors de relais (cluster/relay.js).
+const relay = createRelay({
+  cluster,
+  isLocal:       pin => !!games[pin],
+  handleMessage: handleClientMessage,
+  handleClose:   handleClientClose,
+  adoptGames:    restoreGames,
+});
+setInterval(() => relay.checkInstances().catch(e => console.error('[cluster] Vérification des instances impossible :', e.message)), 60 * 1000);
+
+// Code repris par une autre instance pendant que la partie tournait encore ici (instance bloquée
+// ou coupée de Redis plus longtemps que la validité du code) : l'autre instance l'a restaurée
+// depuis son instantané, la copie locale s'arrête sans rien écrire et ses clients se reconnectent
+cluster.onPinLost(pin => {
+  const game = games[pin];
+  if (!game) return;
+  console.warn(`[cluster] Partie ${pin} reprise par une autre instance, abandonnée ici`);
+  clearTimeout(game.timer);
+  clearTimeout(game.autoTimer);
+  clearTimeout(game.snapshotTimer);
+  delete games[pin];
+  disconnectClients(game, CLOSE_RESTARTING, 'Partie reprise par une autre instance');
+});
 
-      game.answers[ws.playerId] = { answer: msg.answer, correct: isCorrect, points, submitted: true };
-      ws.send(JSON.stringify({ type: 'answer_received', correct: isCorrect, points }));
+// Exécute local(payload) sur l'instance qui détient la partie payload.pin ; résultat { status, body }
+async function atOwner(type, payload, local) {
+  const { pin } = payload;
+  if (!/^\d{6}$/.test(pin)) return { status: 404, body: { error: 'Partie introuvable' } };
+  if (games[pin] || !cluster.shared) return local(payload);
+  const owner = await cluster.ownerOf(pin);
+  if (!owner || owner === cluster.instanceId) return local(payload);
+  return cluster.request(owner, type, payload);
+}
+cluster.handle('check_game', checkGame);
+cluster.handle('export_game', exportGame);
+cluster.handle('end_game', forceEndGame);
+cluster.handle('list_games', localGameSummaries);
+
+// Code libre sur toutes les instances
+async function claimFreePin() {
+  for (let i = 0; i < 10; i++) {
+    const pin = allocatePin(games);
+    if (!pin) return null;
+    if (await cluster.claimPin(pin)) return pin;
+  }
+  return null;
+}
 
-      const activePlayers  = game.players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN);
-      const submittedCount = Object.values(game.answers).filter(a => a.submitted).length;
-      sendToHost(game, { type: 'answer_count', count: submittedCount, total: activePlayers.length });
+function forgetGame(game) {
+  if (games[game.pin] === game) delete games[game.pin];
+  cluster.releasePin(game.pin).catch(e => console.error('[cluster] Libération du code impossible :', e.message));
+}
 
-      if (submittedCount >= activePlayers.length) {
-        clearTimeout(game.timer);
-        game.autoTimer = setTimeout(() => revealAnswer(game), 1000);
-      }
-    }
-  });
+// ─── Modération du lobby ──────────────────────────────────────────────────────
+function findPlayerByName(game, name) {
+  if (typeof name !== 'string') return null;
+  return game.players.find(p => p.name === name && p.id !== 'demo-player')
+    || game.pendingPlayers.find(p => p.name === name) || null;
+}
 
-  ws.on('close', () => {
-    if (!ws.gamePin) return;
-    const game = games[ws.gamePin];
-    if (!game) return;
-
-    if (ws.role === 'player') {
-      const player = game.players.find(p => p.id === ws.playerId);
-      if (player) player.ws = null;
-      const activeCount = game.players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN).length;
-      sendToHost(game, { type: 'player_left', count: activeCount });
-
-      if (game.state === 'question') {
-        const activePlayers  = game.players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN);
-        const submittedCount = Object.values(game.answers).filter(a => a.submitted).length;
-        if (activePlayers.length > 0 && submittedCount >= activePlayers.length) {
-          clearTimeout(game.timer);
-          game.autoTimer = setTimeout(() => revealAnswer(game), 1000);
-        }
-      }
-    }
-    if (ws.role === 'host') {
-      broadcast(game, { type: 'host_left' });
-    }
-  });
-});
+// Entrée dans la partie : directe, ou après validation par l'hôte
+function admitPlayer(game, { id, name, ws, deviceId }) {
+  const rejoinToken = crypto.randomBytes(16).toString('hex');
+  ws.role = 'player';
+  // Répartition équilibrée ; en mode « choix » le joueur peut ensuite changer d'équipe dans le lobby
+  const team = game.teamMode ? smallestTeam(game) : null;
+  game.players.push({ id, name, score: 0, streak: 0, ws, rejoinToken, team, deviceId });
+
+  // Démonstration depuis l'éditeur : la partie démarre seule, jouée et corrigée par le serveur comme les autres
+  const isDemoPlayer = game.demo && name === 'Éditeur Démo';
+  ws.send(JSON.stringify(isDemoPlayer
+    ? { type: 'joined', playerId: id, name, demo: true }
+    : { type: 'joined', playerId: id, name, rejoinToken, team, teamMode: teamInfo(game) }));
+  sendToScreens(game, { type: 'player_joined', name, count: game.players.length, team });
+
+  if (isDemoPlayer) {
+    setTimeout(() => nextQuestion(game), 500);
+  }
+}
+
+function approvePlayer(game, pending) {
+  if (game.state !== 'lobby' || !game.pendingPlayers.includes(pending)) return;
+  game.pendingPlayers = game.pendingPlayers.filter(p => p !== pending);
+  if (pending.ws.readyState !== WebSocket.OPEN) return;
+  admitPlayer(game, pending);
+}
+
+// Joueur exclu (ou refusé) : sa session est invalidée et son socket fermé avec la raison affichée
+function removePlayer(game, player, code, reason) {
+  const wasPending = game.pendingPlayers.includes(player);
+  game.pendingPlayers = game.pendingPlayers.filter(p => p !== player);
+  game.players        = game.players.filter(p => p !== player);
+  delete game.answers[player.id];
+  if (player.ws) {
+    player.ws.role = null;
+    if (player.ws.readyState === WebSocket.OPEN) player.ws.close(code, reason);
+  }
+  if (wasPending) return sendToHost(game, { type: 'pending_left', name: player.name });
+  sendToScreens(game, { type: 'player_removed', name: player.name, count: activePlayerCount(game) });
+  if (game.state === 'question') {
+    sendToScreens(game, { type: 'answer_count', count: Object.values(game.answers).filter(a => a.submitted).length, total: activePlayerCount(game) });
+  }
+  revealIfAllAnswered(game);
+}
+
+function renamePlayer(game, player, raw) {
+  const others = [...game.players, ...game.pendingPlayers].filter(p => p !== player);
+  const { name, error } = checkPlayerName(raw, others);
+  if (error) return sendToHost(game, { type: 'error', message: error });
+  const oldName = player.name;
+  if (name === oldName) return;
+  player.name = name;
+  if (player.ws && player.ws.readyState === WebSocket.OPEN) player.ws.send(JSON.stringify({ type: 'renamed', name }));
+  if (game.pendingPlayers.includes(player)) return sendToHost(game, { type: 'pending_renamed', oldName, name });
+  sendToScreens(game, { type: 'player_renamed', oldName, name });
+}
+
+// Tous les joueurs connectés ont répondu : les résultats arrivent sans attendre la fin du chrono
+function revealIfAllAnswered(game) {
+  if (game.state !== 'question' || game.paused) return;
+  const active    = activePlayerCount(game);
+  const submitted = Object.values(game.answers).filter(a => a.submitted).length;
+  if (active > 0 && submitted >= active) {
+    clearTimeout(game.timer);
+    clearTimeout(game.autoTimer);
+    game.autoTimer = setTimeout(() => revealAnswer(game), 1000);
+  }
+}
 
 // ─── Logique de jeu ───────────────────────────────────────────────────────────
 function nextQuestion(game) {
@@ -535,34 +1941,72 @@ function nextQuestion(game) {
 
   game.state         = 'question';
   game.answers       = {};
-  const q            = game.questions[game.currentQ];
-  const timeLimit    = game.time || 20;
   game.questionStart = Date.now();
+  game.lastActivity  = Date.now();
+  game.extraTime     = 0;
+  game.paused        = false;
+  scheduleSnapshot(game);
 
-  sendToHost(game, {
-    type:         'question',
-    index:        game.currentQ,
-    total:        game.questions.length,
-    question:     q.question,
-    answers:      q.answers,
-    correct:      q.correct,
-    time:         timeLimit,
-    questionType: q.type || 'single',
-    image:        q.image || null,
-  });
+  sendToHost(game, questionMessage(game, true));
+  sendToSpectators(game, questionMessage(game, false));
+  broadcast(game, questionMessage(game, false));
 
-  broadcast(game, {
-    type:         'question',
-    index:        game.currentQ,
-    total:        game.questions.length,
-    question:     q.question,
-    answers:      q.answers,
-    time:         timeLimit,
-    questionType: q.type || 'single',
-    image:        q.image || null,
-  });
+  startQuestionTimer(game);
+}
+
+function startQuestionTimer(game) {
+  clearTimeout(game.timer);
+  const left = Math.max(0, questionTimeLimit(game) - elapsedTime(game));
+  // Les réponses parties juste avant la fin du chrono ont le temps d'arriver
+  game.timer = setTimeout(() => revealAnswer(game), left * 1000 + ANSWER_GRACE_MS);
+}
 
-  game.timer = setTimeout(() => revealAnswer(game), timeLimit * 1000);
+// Gèle le chrono de la question (ou l'enchaînement automatique des résultats)
+function pauseGame(game) {
+  if (game.paused || (game.state !== 'question' && game.state !== 'q_result')) return;
+  clearTimeout(game.timer);
+  clearTimeout(game.autoTimer);
+  game.paused   = true;
+  game.pausedAt = Date.now();
+  const paused  = pauseMessage(game, 'paused');
+  sendToScreens(game, paused);
+  broadcast(game, paused);
+}
+
+function resumeGame(game) {
+  if (!game.paused) return;
+  // Le début de question est décalé de la durée de la pause : temps restant et points restent justes
+  if (game.state === 'question') game.questionStart += Date.now() - game.pausedAt;
+  game.paused   = false;
+  game.pausedAt = null;
+  const resumed = pauseMessage(game, 'resumed');
+  sendToScreens(game, resumed);
+  broadcast(game, resumed);
+
+  if (game.state === 'q_result') return scheduleAutoAdvance(game);
+  const submittedCount = Object.values(game.answers).filter(a => a.submitted).length;
+  if (submittedCount > 0 && submittedCount >= activePlayerCount(game)) game.autoTimer = setTimeout(() => revealAnswer(game), 1000);
+  else startQuestionTimer(game);
+}
+
+// Question annulée par l'hôte : les points déjà gagnés sont retirés et elle
+// n'apparaît pas dans l'historique (comptée comme non jouée)
+function skipQuestion(game) {
+  clearTimeout(game.timer);
+  clearTimeout(game.autoTimer);
+  Object.entries(game.answers).forEach(([playerId, a]) => {
+    const player = game.players.find(p => p.id === playerId);
+    if (!player || !a.submitted || a.pending) return;
+    player.score -= a.points;
+    player.streak = a.prevStreak;
+  });
+  game.answers = {};
+  game.paused  = false;
+  game.state   = 'q_result'; // endGame ne doit pas consigner la question annulée
+  const skipped = { type: 'question_skipped', index: game.currentQ };
+  sendToScreens(game, skipped);
+  broadcast(game, skipped);
+  game.currentQ + 1 >= game.questions.length ? endGame(game) : nextQuestion(game);
 }
 
 function revealAnswer(game) {
@@ -570,56 +2014,401 @@ function revealAnswer(game) {
   clearTimeout(game.timer);
   clearTimeout(game.autoTimer);
   game.state        = 'q_result';
+  game.lastActivity = Date.now();
   const q           = game.questions[game.currentQ];
-  const leaderboard = getLeaderboard(game);
-  const isLast      = game.currentQ + 1 >= game.questions.length;
+  if (q.type === 'numeric' && q.scoring === 'closest') scoreClosestAnswers(game);
+  resetMissedStreaks(game);
+  logQuestionResult(game);
+  scheduleSnapshot(game);
+
+  sendToScreens(game, resultMessage(game, true));
+  sendResultToPlayers(game);
+  scheduleAutoAdvance(game);
+}
 
-  sendToHost(game, {
-    type:         'question_result',
-    correct:      q.correct,
-    leaderboard,
-    answerCounts: getAnswerCounts(game),
-    questionType: q.type || 'single',
-    isLast,
+// Chaque joueur reçoit le résultat avec sa propre réponse corrigée
+function sendResultToPlayers(game) {
+  const msg = resultMessage(game, false);
+  game.players.forEach(p => {
+    if (p.ws && p.ws.readyState === WebSocket.OPEN) p.ws.send(JSON.stringify({ ...msg, answered: ownAnswer(game, p.id) }));
   });
-  broadcast(game, {
-    type:         'question_result',
-    correct:      q.correct,
-    leaderboard,
-    questionType: q.type || 'single',
-    isLast,
+}
+
+// Numérique « le plus proche gagne » : seules les réponses à la plus petite distance marquent
+function scoreClosestAnswers(game) {
+  const q       = game.questions[game.currentQ];
+  const pending = Object.entries(game.answers).filter(([, a]) => a.submitted && a.pending);
+  if (pending.length === 0) return;
+
+  const closest = closestAnswers(pending.map(([, a]) => a.answer), q.correct);
+  pending.forEach(([playerId, a], k) => {
+    const player = game.players.find(p => p.id === playerId);
+    a.pending = false;
+    a.correct = closest[k];
+    if (player) awardPoints(game, q, player, a, 0);
+  });
+}
+
+// Message d'erreur si la réponse n'a pas la forme attendue par la question (indices hors bornes,
+// doublons, ordre incomplet…), null sinon
+function answerError(q, given) {
+  const isIndex = i => Number.isInteger(i) && i >= 0 && i < q.answers.length;
+  if (q.type === 'multiple') {
+    if (!Array.isArray(given) || !given.every(isIndex) || new Set(given).size !== given.length) return 'Réponse invalide';
+  } else if (q.type === 'ordering') {
+    if (!Array.isArray(given) || given.length !== q.answers.length || !given.every(isIndex) || new Set(given).size !== given.length)
+      return 'Ordre invalide';
+  } else if (q.type === 'typed' || q.type === 'open') {
+    if (typeof given !== 'string' || !given.trim()) return 'Réponse vide';
+  } else if (q.type === 'numeric') {
+    if (parseNumber(given) === null) return 'Nombre invalide';
+  } else if (!isIndex(given)) {
+    return 'Réponse invalide';
+  }
+  return null;
+}
+
+// Corrige la réponse brute d'un joueur : answer nettoyée, correct (null pour les questions
+// sans bonne réponse), crédit partiel et pending pour « le plus proche », connu plus tard
+function gradeAnswer(q, given, scoring) {
+  let answer  = given;
+  let correct = false;
+  let credit  = 0;
+  let pending = false;
+
+  if (q.type === 'multiple') {
+    const correctSet = new Set(q.correct);
+    const givenSet   = new Set(Array.isArray(given) ? given : []);
+    const right      = [...givenSet].filter(i => correctSet.has(i)).length;
+    const wrong      = givenSet.size - right;
+    correct = right === correctSet.size && wrong === 0 && givenSet.size > 0;
+    if (!correct) credit = partialCredit(scoring, { right, wrong, total: correctSet.size });
+  } else if (q.type === 'poll') {
+    answer  = Number.isInteger(given) && given >= 0 && given < q.answers.length ? given : null;
+    correct = null;
+  } else if (q.type === 'open') {
+    answer  = typeof given === 'string' ? given.trim().slice(0, MAX_A_LENGTH) : '';
+    correct = null;
+  } else if (q.type === 'typed') {
+    answer       = typeof given === 'string' ? given.trim().slice(0, MAX_A_LENGTH) : '';
+    const normal = normalizeAnswer(answer);
+    correct      = normal !== '' && q.answers.some(a => normalizeAnswer(a) === normal);
+  } else if (q.type === 'numeric') {
+    answer = parseNumber(given);
+    // « Le plus proche » n'est connu qu'une fois toutes les réponses reçues (scoreClosestAnswers)
+    if (q.scoring === 'closest') pending = answer !== null;
+    else correct = answer !== null && withinTolerance(answer, q.correct, q.tolerance);
+  } else if (q.type === 'ordering') {
+    answer       = Array.isArray(given) ? given.slice(0, q.answers.length) : [];
+    const placed = q.correct.filter((c, k) => answer[k] === c).length;
+    correct      = placed === q.correct.length;
+    if (!correct) credit = partialCredit(scoring, { right: placed, wrong: 0, total: q.correct.length });
+  } else {
+    correct = given === q.correct;
+  }
+  return { answer, correct, credit, pending };
+}
+
+// Applique les règles de score du quiz (game : partie ou devoir) à une réponse corrigée ;
+// le score ne descend pas sous zéro
+function awardPoints(game, q, player, record, credit) {
+  const result = scoreAnswer(game.scoring, {
+    correct:    record.correct,
+    credit,
+    timeLimit:  questionTime(game, q),
+    elapsed:    record.time,
+    multiplier: q.points ?? 1,
+    streak:     player.streak,
   });
+  record.points  = Math.max(result.points, -player.score);
+  record.bonus   = result.bonus;
+  record.prevStreak = player.streak;
+  player.score  += record.points;
+  player.streak  = result.streak;
+}
+
+// Ne pas répondre à une question notée interrompt la série
+function resetMissedStreaks(game) {
+  if (UNSCORED_TYPES.includes(game.questions[game.currentQ].type)) return;
+  game.players.forEach(p => {
+    if (!game.answers[p.id]?.submitted) p.streak = 0;
+  });
+}
 
+function scheduleAutoAdvance(game) {
+  clearTimeout(game.autoTimer);
+  if (game.hostPaced || game.paused) return;
   game.autoTimer = setTimeout(() => {
-    if (game.state === 'q_result') isLast ? endGame(game) : nextQuestion(game);
+    if (game.state !== 'q_result') return;
+    if (game.pauseOnHostLeave && !isHostConnected(game)) {
+      game.pausedForHost = true;
+      scheduleSnapshot(game);
+      return;
+    }
+    game.currentQ + 1 >= game.questions.length ? endGame(game) : nextQuestion(game);
   }, 5000);
 }
 
+// Tout l'état courant de la partie, pour l'hôte (nouvelle connexion ou reconnexion) ou un écran spectateur
+function sendGameState(game, ws, forHost) {
+  const send = msg => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(msg)); };
+  send({
+    type:      forHost ? 'host_joined' : 'spectator_joined',
+    pin:       game.pin,
+    state:     game.state,
+    count:     activePlayerCount(game),
+    teamMode:  teamInfo(game),
+    hostPaced: game.hostPaced,
+    players:   game.players.filter(p => p.id !== 'demo-player').map(p => ({ name: p.name, team: p.team, connected: !!(p.ws && p.ws.readyState === WebSocket.OPEN) })),
+    ...(forHost ? { spectatorCode: game.spectatorCode, approvePlayers: game.approvePlayers, pending: game.pendingPlayers.map(p => p.name) } : {}),
+  });
+  if (game.state === 'question') {
+    send(questionMessage(game, forHost));
+    send({ type: 'answer_count', count: Object.values(game.answers).filter(a => a.submitted).length, total: activePlayerCount(game) });
+    if (game.questions[game.currentQ].type === 'open') send({ type: 'word_cloud', words: getAnswerCounts(game) });
+  } else if (game.state === 'q_result') {
+    send(resultMessage(game, true));
+  } else if (game.state === 'final') {
+    send(gameOverMessage(game));
+  }
+  if (game.paused) send(pauseMessage(game, 'paused'));
+}
+
 function endGame(game) {
   clearTimeout(game.timer);
   clearTimeout(game.autoTimer);
+  if (game.state === 'question') logQuestionResult(game);
   game.state        = 'final';
-  const leaderboard = getLeaderboard(game);
-  sendToHost(game, { type: 'game_over', leaderboard });
-  broadcast(game,  { type: 'game_over', leaderboard });
-  setTimeout(() => delete games[game.pin], 10 * 60 * 1000);
+  game.endedAt      = new Date().toISOString();
+  dropSnapshot(game);
+  const gameOver    = gameOverMessage(game);
+  sendToScreens(game, gameOver);
+  broadcast(game,  gameOver);
+  saveGameResult(game);
+}
+
+// Lobby fermé sans podium : tout le monde est prévenu puis déconnecté
+function closeGame(game, reason) {
+  clearTimeout(game.timer);
+  clearTimeout(game.autoTimer);
+  dropSnapshot(game);
+  forgetGame(game);
+  disconnectClients(game, CLOSE_GAME_CLOSED, reason);
+}
+
+// Hôte, écrans et joueurs déconnectés ; leur départ n'est plus traité par la partie
+function disconnectClients(game, code, reason) {
+  const sockets = [game.hostWs, ...game.spectators, ...game.players.map(p => p.ws), ...game.pendingPlayers.map(p => p.ws)];
+  sockets.forEach(ws => {
+    if (!ws) return;
+    ws.role = null;
+    if (ws.readyState === WebSocket.OPEN) ws.close(code, reason);
+  });
+}
+
+// ─── Instantanés des parties ──────────────────────────────────────────────────
+// Chaque partie en cours est enregistrée après ses changements d'état, puis restaurée au
+// démarrage du serveur. Les démonstrations de l'éditeur ne sont pas enregistrées.
+const SNAPSHOT_DELAY_MS = 500; // changements rapprochés (réponses des joueurs) regroupés en une écriture
+let shuttingDown = false;
+
+function saveSnapshot(game) {
+  clearTimeout(game.snapshotTimer);
+  game.snapshotTimer = null;
+  if (game.demo || game.state === 'final' || games[game.pin] !== game) return;
+  try { store.liveGames.save(serializeGame(game)); }
+  catch (e) { console.error('[snapshot] Sauvegarde impossible :', e); }
+}
+
+function scheduleSnapshot(game) {
+  if (shuttingDown || game.demo || game.snapshotTimer) return;
+  game.snapshotTimer = setTimeout(() => saveSnapshot(game), SNAPSHOT_DELAY_MS);
+}
+
+function dropSnapshot(game) {
+  clearTimeout(game.snapshotTimer);
+  game.snapshotTimer = null;
+  try { store.liveGames.remove(game.pin); }
+  catch (e) { console.error('[snapshot] Suppression impossible :', e); }
+}
+
+// Au démarrage (ou quand une autre instance s'arrête, pour ses codes pins) : les parties reprennent
+// où elles en étaient, chrono relancé sur le temps restant. Une partie qu'une autre instance
+// en vie détient déjà est laissée de côté. Renvoie les codes des parties restaurées.
+async function restoreGames(pins = null) {
+  const restored = [];
+  let snapshots  = [];
+  try { snapshots = store.liveGames.list(); }
+  catch (e) {
+    console.error('[snapshot] Lecture impossible :', e);
+    return restored;
+  }
+  for (const snapshot of snapshots) {
+    if (pins && !pins.includes(snapshot.pin)) continue;
+    let game;
+    try { game = restoreGame(snapshot); }
+    catch (e) {
+      console.error(`[snapshot] Partie ${snapshot.pin} ignorée : ${e.message}`);
+      continue;
+    }
+    if (games[game.pin]) continue;
+    try { if (!(await cluster.claimPin(game.pin))) continue; }
+    catch (e) {
+      console.error(`[cluster] Partie ${game.pin} non restaurée : ${e.message}`);
+      continue;
+    }
+    games[game.pin] = game;
+    if (game.state === 'question' && !game.paused) startQuestionTimer(game);
+    if (game.state === 'q_result') scheduleAutoAdvance(game);
+    console.log(`[snapshot] Partie ${game.pin} restaurée (${game.state}, ${game.players.length} joueur(s)) : ${game.quizName}`);
+    restored.push(game.pin);
+  }
+  return restored;
+}
+
+// ─── Historique des parties ───────────────────────────────────────────────────
+// Fige les réponses de la question courante avant que game.answers ne soit réinitialisé
+function logQuestionResult(game) {
+  game.questionLog[game.currentQ] = {
+    participants: game.players.length,
+    answerCounts: getAnswerCounts(game),
+    responses:    Object.entries(game.answers)
+      .filter(([, a]) => a.submitted)
+      .map(([playerId, a]) => {
+        const player = game.players.find(p => p.id === playerId);
+        return { name: player ? player.name : '?', answer: a.answer, correct: a.correct, points: a.points, time: a.time };
+      }),
+  };
+}
+
+function buildGameResult(game) {
+  return {
+    id:        `${Date.now()}-${game.pin}`,
+    quizId:    game.quizId,
+    quizName:  game.quizName,
+    startedAt: game.createdAt,
+    endedAt:   game.endedAt || null,
+    players:   getLeaderboard(game),
+    teams:     getTeamLeaderboard(game),
+    questions: game.questions.map((q, i) => ({
+      question: q.question,
+      type:     q.type,
+      answers:  q.answers,
+      correct:  q.correct,
+      played:   !!game.questionLog[i],
+      ...(game.questionLog[i] || { participants: 0, answerCounts: [], responses: [] }),
+    })),
+  };
+}
+
+function saveGameResult(game) {
+  if (game.demo || !game.quizId || game.resultSaved) return;
+  game.resultSaved = true;
+  const result = buildGameResult(game);
+  try { store.results.save(result); }
+  catch (e) { console.error('[results] Sauvegarde impossible :', e); }
+}
+
+function computeResultStats(result) {
+  const questions = result.questions
+    .map((q, index) => {
+      const correctCount = q.responses.filter(r => r.correct).length;
+      const times        = q.responses.map(r => r.time).filter(t => typeof t === 'number');
+      const scored       = !UNSCORED_TYPES.includes(q.type);
+      return {
+        index,
+        scored,
+        question:     q.question,
+        type:         q.type,
+        answers:      q.answers,
+        correct:      q.correct,
+        played:       q.played,
+        participants: q.participants,
+        answered:     q.responses.length,
+        correctCount,
+        successRate:  !scored ? null : q.participants ? Math.round((correctCount / q.participants) * 100) : 0,
+        answerCounts: q.answerCounts,
+        averageTime:  times.length ? Math.round((times.reduce((a, b) => a + b, 0) / times.length) * 10) / 10 : null,
+      };
+    });
+  const hardest = questions
+    .filter(q => q.played && q.scored)
+    .sort((a, b) => a.successRate - b.successRate)
+    .slice(0, 3)
+    .map(q => q.index);
+  return { questions, hardest };
+}
+
+// ─── Export des résultats ─────────────────────────────────────────────────────
+function formatAnswer(q, answer) {
+  if (answer === undefined || answer === null) return '';
+  if (['typed', 'numeric', 'open'].includes(q.type)) return String(answer);
+  const pick = i => (Number.isInteger(i) && q.answers[i] !== undefined ? q.answers[i] : '');
+  return Array.isArray(answer) ? answer.map(pick).filter(Boolean).join(q.type === 'ordering' ? ' > ' : ' | ') : pick(answer);
+}
+
+function buildResultReport(result) {
+  return {
+    quizId:    result.quizId,
+    quizName:  result.quizName,
+    startedAt: result.startedAt,
+    endedAt:   result.endedAt,
+    questions: result.questions.map((q, index) => ({ index: index + 1, question: q.question, type: q.type, played: q.played })),
+    teams:     result.teams || null,
+    players:   result.players.map(p => {
+      const answers = result.questions.map(q => {
+        const r = q.responses.find(r => r.name === p.name);
+        return r
+          ? { answer: formatAnswer(q, r.answer), correct: r.correct, points: r.points, time: r.time }
+          : { answer: '', correct: false, points: 0, time: null };
+      });
+      const team    = (result.teams || []).find(t => t.id === p.team);
+      return {
+        rank: p.rank, name: p.name, ...(result.teams ? { team: team ? team.name : '' } : {}),
+        score: p.score, correctCount: answers.filter(a => a.correct).length, answers,
+      };
+    }),
+  };
+}
+
+// Neutralise les formules (=, +, -, @) qu'un tableur exécuterait à l'ouverture
+function csvCell(value) {
+  let str = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(str)) str = `'${str}`;
+  return /[;"\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function reportToCsv(report) {
+  const teams  = !!report.teams;
+  const header = ['Rang', 'Nom', ...(teams ? ['Équipe'] : []), 'Score', 'Bonnes réponses'];
+  report.questions.forEach(q => header.push(`Q${q.index} réponse`, `Q${q.index} points`, `Q${q.index} temps (s)`));
+  const rows = report.players.map(p => [
+    p.rank, p.name, ...(teams ? [p.team] : []), p.score, p.correctCount,
+    ...p.answers.flatMap(a => [a.answer, a.points, a.time ?? '']),
+  ]);
+  // BOM UTF-8 : Excel détecte l'encodage et affiche correctement les accents
+  return '\ufeff' + [header, ...rows].map(r => r.map(csvCell).join(';')).join('\r\n');
+}
+
+function sendReport(res, result, format) {
+  const report = buildResultReport(result);
+  const base   = `kahut-${slugify(result.quizName)}-${(result.endedAt || new Date().toISOString()).slice(0, 10)}`;
+  if (format === 'json') {
+    res.setHeader('Content-Disposition', `attachment; filename="${base}.json"`);
+    return res.json(report);
+  }
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${base}.csv"`);
+  res.send(reportToCsv(report));
 }
 
 // ─── Nettoyage orphelins ──────────────────────────────────────────────────────
 function cleanupOrphanUploads() {
   try {
-    const usedImages = new Set();
-    fs.readdirSync(QUIZ_DIR).filter(f => f.endsWith('.json')).forEach(f => {
-      try {
-        const quiz = JSON.parse(fs.readFileSync(path.join(QUIZ_DIR, f), 'utf8'));
-        quiz.questions.forEach(q => {
-          if (q.image && q.image.startsWith('/uploads/')) usedImages.add(path.basename(q.image));
-        });
-      } catch {}
-    });
+    const usedImages = store.quizzes.imagesInUse();
     fs.readdirSync(UPLOAD_DIR).forEach(file => {
       if (!usedImages.has(file)) {
-        fs.unlinkSync(path.join(UPLOAD_DIR, file));
+        deleteUpload(file);
         console.log(`[cleanup] 🗑  Orphelin supprimé : ${file}`);
       }
     });
@@ -631,26 +2420,20 @@ const QUIZ_INACTIVITY_DAYS = 30;
 
 function cleanupInactiveQuizzes() {
   try {
-    const files = fs.readdirSync(QUIZ_DIR).filter(f => f.endsWith('.json'));
     const now = Date.now();
 
-    files.forEach(f => {
+    store.quizzes.list().forEach(summary => {
       try {
-        const filePath = path.join(QUIZ_DIR, f);
-        const quiz = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-
-        const lastUsed = quiz.lastUsedAt ? new Date(quiz.lastUsedAt).getTime() : new Date(quiz.createdAt).getTime();
+        // Un devoir compte comme une utilisation jusqu'à sa date limite
+        const lastUsed = Math.max(
+          summary.lastUsedAt ? new Date(summary.lastUsedAt).getTime() : new Date(summary.createdAt).getTime(),
+          ...store.assignments.list(summary.id).map(a => new Date(a.closesAt).getTime()),
+        );
         const daysSinceLastUse = (now - lastUsed) / (1000 * 60 * 60 * 24);
 
         if (daysSinceLastUse > QUIZ_INACTIVITY_DAYS) {
-          console.log(`[cleanup] 🗑  Quiz supprimé (inactif ${Math.round(daysSinceLastUse)}j) : ${quiz.name} (${f})`);
-          quiz.questions.forEach(q => {
-            if (q.image && q.image.startsWith('/uploads/')) {
-              const imgFile = path.join(__dirname, 'public', q.image);
-              if (fs.existsSync(imgFile)) fs.unlinkSync(imgFile);
-            }
-          });
-          fs.unlinkSync(filePath);
+          console.log(`[cleanup] 🗑  Quiz supprimé (inactif ${Math.round(daysSinceLastUse)}j) : ${summary.name} (${summary.id})`);
+          deleteQuizFiles(summary.id, store.quizzes.get(summary.id));
         }
       } catch {}
     });
@@ -662,23 +2445,97 @@ cleanupOrphanUploads();
 setInterval(cleanupInactiveQuizzes, 60 * 60 * 1000);
 cleanupInactiveQuizzes();
 
+// ─── Nettoyage parties abandonnées ────────────────────────────────────────────
+// Une partie commencée puis bloquée est terminée normalement (résultats enregistrés) ;
+// un lobby jamais lancé est simplement fermé ; un podium expiré quitte la mémoire.
+function reapGames() {
+  const now = Date.now();
+  Object.values(games).forEach(game => {
+    const reason = staleReason(game, lifecycle, now);
+    if (!reason) return;
+    console.log(`[cleanup] 🗑  Partie ${game.pin} retirée (${reason}) : ${game.quizName}`);
+    if (reason === 'stalled')         endGame(game);
+    else if (reason === 'idle_lobby') closeGame(game, 'Partie fermée faute d\'activité');
+    else                              forgetGame(game);
+  });
+}
+setInterval(reapGames, 60 * 1000);
+
+// ─── Admin : authentification ─────────────────────────────────────────────────
+// Mot de passe lu dans ADMIN_PASSWORD ; sans lui l'administration est désactivée.
+// Les sessions sont gardées par la répartition (cluster) : en mémoire avec une seule instance,
+// perdues au redémarrage ; dans Redis avec plusieurs, valables quelle que soit l'instance.
+const ADMIN_PASSWORD    = process.env.ADMIN_PASSWORD || '';
+const ADMIN_COOKIE      = 'kahut_admin';
+const ADMIN_SESSION_TTL = 8 * 60 * 60 * 1000;
+const AUDIT_LOG         = path.join(LOG_DIR, 'admin-audit.log');
+
+if (!ADMIN_PASSWORD) console.warn('[admin] ADMIN_PASSWORD non défini : administration désactivée');
+
+function readCookie(req, name) {
+  const cookie = (req.headers.cookie || '').split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+async function isAdminRequest(req) {
+  const token = readCookie(req, ADMIN_COOKIE);
+  return !!token && cluster.hasSession(token);
+}
+
+function adminCookie(req, value, maxAge) {
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https';
+  return `${ADMIN_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}${secure ? '; Secure' : ''}`;
+}
+
+// Journal des actions d'administration : une ligne JSON par événement
+function auditLog(req, action, details = {}) {
+  const entry = { at: new Date().toISOString(), action, ip: req.ip, ...details };
+  fs.appendFile(AUDIT_LOG, JSON.stringify(entry) + '\n', err => {
+    if (err) console.error('[admin] Journal d\'audit inaccessible :', err);
+  });
+}
+
+app.post('/api/admin/login', async (req, res) => {
+  if (!ADMIN_PASSWORD) return res.status(503).json({ error: 'Administration désactivée (ADMIN_PASSWORD non défini)' });
+  if (!safeEqual(req.body.password, ADMIN_PASSWORD)) {
+    auditLog(req, 'login_failed');
+    return res.status(401).json({ error: 'Mot de passe incorrect' });
+  }
+  const token = crypto.randomBytes(32).toString('hex');
+  try { await cluster.addSession(token, ADMIN_SESSION_TTL); }
+  catch (e) { return res.status(503).json({ error: 'Service momentanément indisponible' }); }
+  auditLog(req, 'login');
+  res.setHeader('Set-Cookie', adminCookie(req, token, ADMIN_SESSION_TTL / 1000));
+  res.json({ ok: true });
+});
+
+app.post('/api/admin/logout', async (req, res) => {
+  const token = readCookie(req, ADMIN_COOKIE);
+  if (token) await cluster.removeSession(token).catch(() => {});
+  res.setHeader('Set-Cookie', adminCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+app.use('/api/admin', (req, res, next) => {
+  isAdminRequest(req)
+    .then(ok => (ok ? next() : res.status(401).json({ error: 'Authentification admin requise' })))
+    .catch(() => res.status(503).json({ error: 'Service momentanément indisponible' }));
+});
+
 // ─── REST : Admin ──────────────────────────────────────────────────────────────
 app.get('/api/admin/stats', (req, res) => {
   try {
-    const files = fs.readdirSync(QUIZ_DIR).filter(f => f.endsWith('.json'));
+    const quizzes = store.quizzes.list();
     let totalQuestions = 0;
-    let totalQuizzes = files.length;
+    let totalQuizzes = quizzes.length;
     let quizzesWithImages = 0;
 
-    files.forEach(f => {
-      try {
-        const quiz = JSON.parse(fs.readFileSync(path.join(QUIZ_DIR, f), 'utf8'));
-        totalQuestions += quiz.questions.length;
-        if (quiz.questions.some(q => q.image)) quizzesWithImages++;
-      } catch {}
+    quizzes.forEach(quiz => {
+      totalQuestions += quiz.questionCount;
+      if (quiz.hasImages) quizzesWithImages++;
     });
 
-    const uploads = fs.readdirSync(UPLOAD_DIR).length;
+    const uploads = store.uploads.list().length;
 
     res.json({
       totalQuizzes,
@@ -693,46 +2550,182 @@ app.get('/api/admin/stats', (req, res) => {
 
 app.get('/api/admin/quizzes', (req, res) => {
   try {
-    const files = fs.readdirSync(QUIZ_DIR).filter(f => f.endsWith('.json'));
-    const quizzes = files.map(f => {
-      try {
-        const filePath = path.join(QUIZ_DIR, f);
-        const stats = fs.statSync(filePath);
-        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        return {
-          id: f.replace('.json', ''),
-          name: data.name,
-          questionCount: data.questions.length,
-          createdAt: data.createdAt,
-          updatedAt: data.updatedAt,
-          lastUsedAt: data.lastUsedAt,
-          hasImages: data.questions.some(q => q.image),
-          size: stats.size,
-        };
-      } catch { return null; }
-    }).filter(Boolean);
-    res.json(quizzes);
+    res.json(store.quizzes.list());
   } catch (e) {
     res.status(500).json({ error: 'Erreur serveur' });
   }
 });
 
-app.delete('/api/admin/quizzes/:id', (req, res) => {
-  const file = path.join(QUIZ_DIR, `${req.params.id}.json`);
-  if (!fs.existsSync(file)) return res.status(404).json({ error: 'Quiz introuvable' });
+// Parties en mémoire : suivi et fin forcée
+function gameSummary(game, now) {
+  const players = game.players.filter(p => p.id !== 'demo-player');
+  return {
+    pin:           game.pin,
+    quizId:        game.quizId,
+    quizName:      game.quizName,
+    state:         game.state,
+    demo:          game.demo,
+    question:      game.currentQ + 1,
+    questions:     game.questions.length,
+    players:       players.length,
+    connected:     players.filter(p => p.ws && p.ws.readyState === WebSocket.OPEN).length,
+    pending:       game.pendingPlayers.length,
+    hostConnected: isHostConnected(game),
+    instance:      cluster.instanceId,
+    createdAt:     game.createdAt,
+    ageSeconds:    Math.round((now - Date.parse(game.createdAt)) / 1000),
+    idleSeconds:   Math.round((now - game.lastActivity) / 1000),
+  };
+}
+
+function localGameSummaries() {
+  const now = Date.now();
+  return Object.values(games).map(g => gameSummary(g, now));
+}
 
+// Toutes les instances sont interrogées ; une instance muette est ignorée
+app.get('/api/admin/games', async (req, res) => {
+  let instances = [];
+  try { instances = await cluster.instances(); }
+  catch (e) { console.error('[cluster] Liste des instances impossible :', e.message); }
+  if (!instances.includes(cluster.instanceId)) instances.push(cluster.instanceId);
   try {
-    const quiz = JSON.parse(fs.readFileSync(file, 'utf8'));
-    quiz.questions.forEach(q => {
-      if (q.image && q.image.startsWith('/uploads/')) {
-        const imgFile = path.join(__dirname, 'public', q.image);
-        if (fs.existsSync(imgFile)) fs.unlinkSync(imgFile);
-      }
+    const lists = await Promise.all(instances.map(id => (id === cluster.instanceId
+      ? localGameSummaries()
+      : cluster.request(id, 'list_games').catch(() => []))));
+    const list = lists.flat().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({
+      limit:     lifecycle.maxGames,
+      live:      list.filter(g => g.state !== 'final').length,
+      instances: instances.length,
+      games:     list,
     });
+  } catch (e) {
+    res.status(500).json({ error: 'Erreur serveur' });
+  }
+});
+
+// Partie commencée : terminée avec podium et résultats ; lobby : fermé
+function forceEndGame({ pin }) {
+  const game = games[pin];
+  if (!game) return { status: 404, body: { error: 'Partie introuvable' } };
+  if (game.state === 'final') return { status: 400, body: { error: 'Partie déjà terminée' } };
+  const state = game.state;
+  if (state === 'lobby') closeGame(game, "Partie fermée par l'administrateur");
+  else endGame(game);
+  return { status: 200, body: { ok: true }, audit: { pin, quizId: game.quizId, name: game.quizName, state } };
+}
+
+app.delete('/api/admin/games/:pin', async (req, res) => {
+  let result;
+  try { result = await atOwner('end_game', { pin: req.params.pin }, forceEndGame); }
+  catch (e) { return res.status(503).json({ error: e.message }); }
+  if (result.audit) auditLog(req, 'end_game', result.audit);
+  res.status(result.status).json(result.body);
+});
+
+// Filtre des propos grossiers : termes personnalisés bloqués ou toujours autorisés.
+// Enregistrés dans le stockage (ceux du fichier servent tant que rien n'y est enregistré) et
+// relus avant chaque modification ; les autres instances sont prévenues et les relisent aussi.
+const FILTER_LISTS = ['blocked', 'allowed'];
+
+function loadCustomTerms() {
+  const saved = store.settings.get('badwords');
+  if (saved) setCustomTerms(saved);
+}
+
+function saveCustomTerms() {
+  store.settings.save('badwords', customTerms());
+  cluster.broadcast({ kind: 'filter_changed' });
+}
+
+cluster.onMessage(message => {
+  if (message.kind !== 'filter_changed') return;
+  try { loadCustomTerms(); }
+  catch (e) { console.error('[filtre] Relecture des termes impossible :', e.message); }
+});
+
+app.get('/api/admin/badwords', (req, res) => {
+  res.json(filterConfig());
+});
+
+// Termes du filtre trouvés dans un texte, pour vérifier l'effet d'une liste
+app.get('/api/admin/badwords/check', (req, res) => {
+  const text = typeof req.query.text === 'string' ? req.query.text.slice(0, 200) : '';
+  res.json({ text, matches: findBadWords(text) });
+});
+
+app.post('/api/admin/badwords/:list', (req, res) => {
+  if (!FILTER_LISTS.includes(req.params.list)) return res.status(404).json({ error: 'Liste inconnue' });
+  loadCustomTerms();
+  let term;
+  try { term = addTerm(req.params.list, req.body.term); }
+  catch (e) { return res.status(400).json({ error: e.message }); }
+  saveCustomTerms();
+  auditLog(req, 'filter_add', { list: req.params.list, term });
+  res.json(filterConfig());
+});
+
+app.delete('/api/admin/badwords/:list/:term', (req, res) => {
+  if (!FILTER_LISTS.includes(req.params.list)) return res.status(404).json({ error: 'Liste inconnue' });
+  loadCustomTerms();
+  if (!removeTerm(req.params.list, req.params.term)) return res.status(404).json({ error: 'Terme introuvable' });
+  saveCustomTerms();
+  auditLog(req, 'filter_remove', { list: req.params.list, term: req.params.term });
+  res.json(filterConfig());
+});
+
+app.delete('/api/admin/quizzes/:id', (req, res) => {
+  // Quiz illisible : supprimé quand même, ses images partiront au nettoyage des orphelins
+  let quiz = null;
+  try {
+    quiz = store.quizzes.get(req.params.id);
+    if (!quiz) return res.status(404).json({ error: 'Quiz introuvable' });
   } catch {}
-  fs.unlinkSync(file);
+  deleteQuizFiles(req.params.id, quiz);
+  auditLog(req, 'delete_quiz', { quizId: req.params.id, name: quiz ? quiz.name : null });
   res.json({ ok: true });
 });
 
+// ─── Arrêt propre ─────────────────────────────────────────────────────────────
+// SIGTERM (redéploiement) ou Ctrl+C : parties enregistrées, clients prévenus puis déconnectés
+function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  relay.stop();
+  console.log(`[shutdown] ${signal} : enregistrement de ${liveGameCount(games)} partie(s) en cours`);
+  Object.values(games).forEach(game => {
+    clearTimeout(game.timer);
+    clearTimeout(game.autoTimer);
+    saveSnapshot(game);
+  });
+  const restarting = JSON.stringify({ type: 'server_restarting', message: 'Redémarrage du serveur, reconnexion automatique…' });
+  wss.clients.forEach(ws => {
+    ws.role = null;
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.send(restarting);
+    ws.close(CLOSE_RESTARTING, 'Redémarrage du serveur');
+  });
+  // Les autres instances reprennent les parties libérées depuis leur instantané
+  const pins = Object.values(games).filter(g => g.state !== 'final' && !g.demo).map(g => g.pin);
+  Promise.all(Object.keys(games).map(pin => cluster.releasePin(pin)))
+    .then(() => cluster.broadcast({ kind: 'instance_stopping', pins }))
+    .catch(e => console.error('[cluster] Libération des parties impossible :', e.message))
+    .finally(() => server.close(() => {
+      store.close();
+      cluster.close().finally(() => process.exit(0));
+    }));
+  setTimeout(() => process.exit(0), 3000).unref();
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
+
 // ─── Start ────────────────────────────────────────────────────────────────────
-server.listen(53559, '0.0.0.0', () => console.log(`🎮 Kahut lancé sur http://0.0.0.0:53559`));
\ No newline at end of file
+// PORT : une instance par port quand plusieurs tournent sur la même machine
+const PORT = parseInt(process.env.PORT, 10) || 53559;
+
+// Les parties enregistrées sont restaurées avant d'accepter les connexions
+restoreGames().then(() => {
+  reapGames();
+  server.listen(PORT, '0.0.0.0', () => console.log(`🎮 Kahut lancé sur http://0.0.0.0:${PORT}`));
+});
\ No newline at end of file
@@ -0,0 +1,44 @@
+// Instantanés des parties en cours : ce qu'il faut enregistrer pour reprendre une partie
+// après un redémarrage du serveur. Sockets et minuteurs ne sont pas enregistrés ; les joueurs
+// se reconnectent avec leur jeton de reprise et le chrono repart du temps restant.
+
+// Champs propres au processus en cours, recréés à la restauration
+const VOLATILE_FIELDS = ['hostWs', 'spectators', 'pendingPlayers', 'timer', 'autoTimer', 'snapshotTimer'];
+
+function serializeGame(game, now = Date.now()) {
+  const data = {};
+  Object.entries(game).forEach(([key, value]) => { if (!VOLATILE_FIELDS.includes(key)) data[key] = value; });
+  return {
+    ...data,
+    players:       game.players.map(({ ws, ...player }) => player),
+    bannedDevices: [...game.bannedDevices],
+    // Temps de question déjà écoulé, pause exclue : le temps d'arrêt du serveur n'est pas décompté
+    elapsedMs:     game.state === 'question' ? (game.paused ? game.pausedAt : now) - game.questionStart : null,
+    savedAt:       new Date(now).toISOString(),
+  };
+}
+
+// Partie prête à reprendre, sans hôte ni joueur connecté ; les minuteurs restent à relancer
+function restoreGame(snapshot, now = Date.now()) {
+  const { elapsedMs, savedAt, ...data } = snapshot;
+  if (!/^\d{6}$/.test(data.pin) || !Array.isArray(data.players) || !Array.isArray(data.questions))
+    throw new Error('Instantané invalide');
+  const game = {
+    ...data,
+    hostWs:         null,
+    spectators:     [],
+    pendingPlayers: [],
+    timer:          null,
+    autoTimer:      null,
+    snapshotTimer:  null,
+    players:        data.players.map(p => ({ ...p, ws: null })),
+    bannedDevices:  new Set(data.bannedDevices || []),
+  };
+  if (game.state === 'question') {
+    game.questionStart = now - elapsedMs;
+    game.pausedAt      = game.paused ? now : null;
+  }
+  return game;
+}
+
+module.exports = { serializeGame, restoreGame };
@@ -0,0 +1,59 @@
+// Point d'entrée du stockage : choisit l'implémentation selon la configuration.
+//   STORAGE=json   (défaut) fichiers JSON dans quizzes/, results/, history/, banks/, assignments/, games/
+//                  et data/settings/
+//   STORAGE=sqlite base SQLite embarquée, fichier SQLITE_FILE (défaut data/kahut.db)
+//
+// Interface commune (synchrone) :
+//   quizzes.list() → résumés        quizzes.get(id) → quiz | null
+//   quizzes.search({ text, tag, language, visibility, offset, limit }) → { total, quizzes: résumés }
+//   quizzes.save(quiz)              quizzes.remove(id) → booléen
+//   quizzes.imagesInUse() → Set des fichiers d'images référencés
+//   uploads.add({ name, size, createdAt })   uploads.list()   uploads.remove(name)
+//   results.list(quizId) → résumés  results.get(quizId, id)  results.save(result)
+//   results.removeForQuiz(quizId)
+//   revisions.list(quizId) → résumés, du plus récent au plus ancien
+//   revisions.get(quizId, id)  revisions.save(revision)  revisions.remove(quizId, id)
+//   revisions.removeForQuiz(quizId)
+//   banks.get(id) → banque de questions | null   banks.save(bank)
+//   assignments.list(quizId) → résumés, du plus récent au plus ancien
+//   assignments.get(id)  assignments.save(assignment)  assignments.remove(id)
+//   assignments.removeForQuiz(quizId) : un devoir supprimé emporte ses tentatives
+//   attempts.list(assignmentId) → tentatives des élèves, dans l'ordre d'arrivée
+//   attempts.get(assignmentId, id) → tentative | null   attempts.save(assignmentId, attempt)
+//   liveGames.list() → instantanés des parties en cours   liveGames.save(snapshot)   liveGames.remove(pin)
+//   settings.get(name) → valeur | null   settings.save(name, value) : réglages modifiés depuis l'administration
+//   transaction(fn) → résultat de fn, exécutée sans qu'une autre instance écrive entre ses lectures et ses écritures
+//   close()
+
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+const DEFAULTS = {
+  quizDir:       path.join(ROOT, 'quizzes'),
+  resultsDir:    path.join(ROOT, 'results'),
+  historyDir:    path.join(ROOT, 'history'),
+  bankDir:       path.join(ROOT, 'banks'),
+  assignmentDir: path.join(ROOT, 'assignments'),
+  gameDir:       path.join(ROOT, 'games'),
+  settingsDir:   path.join(ROOT, 'data', 'settings'),
+  uploadDir:     path.join(ROOT, 'public', 'uploads'),
+  file:          path.join(ROOT, 'data', 'kahut.db'),
+};
+
+function storageConfig(env = process.env) {
+  return {
+    ...DEFAULTS,
+    kind: env.STORAGE || 'json',
+    file: env.SQLITE_FILE ? path.resolve(env.SQLITE_FILE) : DEFAULTS.file,
+  };
+}
+
+function createStore(config = storageConfig()) {
+  if (config.kind === 'json') return require('./json-store').createJsonStore(config);
+  // Chargé à la demande : le module natif n'est nécessaire qu'avec ce stockage
+  if (config.kind === 'sqlite') return require('./sqlite-store').createSqliteStore(config);
+  throw new Error(`Stockage inconnu : ${config.kind} (json ou sqlite)`);
+}
+
+module.exports = { createStore, storageConfig };
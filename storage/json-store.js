@@ -0,0 +1,442 @@
+// Stockage historique en fichiers JSON :
+//   quizzes/<id>.json, results/<quizId>/<resultId>.json, history/<quizId>/<revisionId>.json,
+//   banks/<bankId>.json, assignments/<assignmentId>.json (tentatives des élèves dans
+//   assignments/<assignmentId>/<attemptId>.json), games/<pin>.json (parties en cours), images dans public/uploads.
+// Les écritures passent par un fichier temporaire renommé (jamais de fichier à moitié écrit)
+// et les résumés de quiz sont gardés en mémoire pour ne pas relire tout le dossier.
+
+const fs   = require('fs');
+const path = require('path');
+
+const SAFE_ID = /^[\w-]{1,64}$/;
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+function quizImages(quiz) {
+  return quiz.questions
+    .filter(q => q.image && q.image.startsWith('/uploads/'))
+    .map(q => path.basename(q.image));
+}
+
+// Minuscules sans accents : la recherche ignore casse et diacritiques
+function normalizeText(str) {
+  return String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Texte parcouru par la recherche : nom, description, tags et intitulés des questions
+function quizSearchText(quiz) {
+  return normalizeText([quiz.name, quiz.description, ...(quiz.tags || []), ...quiz.questions.map(q => q.question)].join('\n'));
+}
+
+function searchTerms(text) {
+  return normalizeText(text).split(/\s+/).filter(Boolean);
+}
+
+function quizSummary(quiz, size) {
+  return {
+    id:            quiz.id,
+    name:          quiz.name,
+    description:   quiz.description || '',
+    tags:          quiz.tags || [],
+    language:      quiz.language || null,
+    visibility:    quiz.visibility === 'public' ? 'public' : 'private',
+    questionCount: quiz.questions.length,
+    hasImages:     quizImages(quiz).length > 0,
+    size,
+    createdAt:     quiz.createdAt,
+    updatedAt:     quiz.updatedAt,
+    lastUsedAt:    quiz.lastUsedAt,
+  };
+}
+
+function resultSummary(result) {
+  return {
+    id:            result.id,
+    startedAt:     result.startedAt,
+    endedAt:       result.endedAt,
+    playerCount:   result.players.length,
+    questionCount: result.questions.filter(q => q.played).length,
+    winner:        result.players[0] || null,
+    homework:      result.homework === true,
+  };
+}
+
+// participants et finished viennent des tentatives, stockées à part
+function assignmentSummary(assignment, { participants, finished } = {}) {
+  return {
+    id:            assignment.id,
+    quizId:        assignment.quizId,
+    createdAt:     assignment.createdAt,
+    opensAt:       assignment.opensAt,
+    closesAt:      assignment.closesAt,
+    questionCount: assignment.questions.length,
+    participants,
+    finished,
+    resultId:      assignment.resultId || null,
+  };
+}
+
+function revisionSummary(revision) {
+  return {
+    id:            revision.id,
+    createdAt:     revision.createdAt,
+    savedAt:       revision.savedAt,
+    name:          revision.quiz.name,
+    questionCount: revision.quiz.questions.length,
+  };
+}
+
+const newestFirst = (a, b) => (b.createdAt || '').localeCompare(a.createdAt || '');
+const recentFirst = (a, b) => (b.updatedAt || b.createdAt || '').localeCompare(a.updatedAt || a.createdAt || '');
+
+function createJsonStore({ quizDir, resultsDir, historyDir, bankDir, assignmentDir, gameDir, settingsDir, uploadDir }) {
+  [quizDir, resultsDir, historyDir, bankDir, assignmentDir, gameDir, settingsDir, uploadDir].forEach(ensureDir);
+
+  const fileFor = id => {
+    if (!SAFE_ID.test(id)) throw new Error('Identifiant invalide');
+    return path.join(quizDir, `${id}.json`);
+  };
+
+  const revisionFile = (quizId, id) => {
+    if (!SAFE_ID.test(quizId) || !SAFE_ID.test(id)) throw new Error('Identifiant invalide');
+    return path.join(historyDir, quizId, `${id}.json`);
+  };
+
+  const bankFile = id => {
+    if (!SAFE_ID.test(id)) throw new Error('Identifiant invalide');
+    return path.join(bankDir, `${id}.json`);
+  };
+
+  const assignmentFile = id => {
+    if (!SAFE_ID.test(id)) throw new Error('Identifiant invalide');
+    return path.join(assignmentDir, `${id}.json`);
+  };
+
+  const attemptFile = (assignmentId, id) => {
+    if (!SAFE_ID.test(assignmentId) || !SAFE_ID.test(id)) throw new Error('Identifiant invalide');
+    return path.join(assignmentDir, assignmentId, `${id}.json`);
+  };
+
+  const gameFile = pin => {
+    if (!/^\d{6}$/.test(pin)) throw new Error('Identifiant invalide');
+    return path.join(gameDir, `${pin}.json`);
+  };
+
+  const settingsFile = name => {
+    if (!SAFE_ID.test(name)) throw new Error('Identifiant invalide');
+    return path.join(settingsDir, `${name}.json`);
+  };
+
+  // id → { summary, images, search }, construit au premier accès
+  let index = null;
+  // "quizId/revisionId" → images, pour ne pas effacer celles d'une version restaurable
+  let revisionImages = null;
+  function loadRevisionImages() {
+    if (revisionImages) return revisionImages;
+    revisionImages = new Map();
+    fs.readdirSync(historyDir).forEach(quizId => {
+      const dir = path.join(historyDir, quizId);
+      if (!fs.statSync(dir).isDirectory()) return;
+      fs.readdirSync(dir).filter(f => f.endsWith('.json')).forEach(f => {
+        try {
+          const revision = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+          revisionImages.set(`${quizId}/${revision.id}`, quizImages(revision.quiz));
+        } catch { console.error(`[storage] Version illisible ignorée : ${quizId}/${f}`); }
+      });
+    });
+    return revisionImages;
+  }
+
+  // bankId → images des questions de la banque
+  let bankImages = null;
+  function loadBankImages() {
+    if (bankImages) return bankImages;
+    bankImages = new Map();
+    fs.readdirSync(bankDir).filter(f => f.endsWith('.json')).forEach(f => {
+      try {
+        const bank = JSON.parse(fs.readFileSync(path.join(bankDir, f), 'utf8'));
+        bankImages.set(bank.id, quizImages(bank));
+      } catch { console.error(`[storage] Banque illisible ignorée : ${f}`); }
+    });
+    return bankImages;
+  }
+
+  function readAttempts(assignmentId) {
+    const dir = path.join(assignmentDir, assignmentId);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => {
+      try { return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')); }
+      catch { console.error(`[storage] Tentative illisible ignorée : ${assignmentId}/${f}`); return null; }
+    }).filter(Boolean).sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  }
+
+  function writeAttempt(assignmentId, attempt) {
+    const file = attemptFile(assignmentId, attempt.id);
+    ensureDir(path.dirname(file));
+    writeAtomic(file, JSON.stringify(attempt, null, 2));
+  }
+
+  // Devoir enregistré avec ses tentatives dans le même fichier : chacune passe dans le sien
+  function splitAttempts({ attempts, ...assignment }) {
+    attempts.forEach(a => writeAttempt(assignment.id, a));
+    writeAtomic(assignmentFile(assignment.id), JSON.stringify(assignment, null, 2));
+    return assignment;
+  }
+
+  // assignmentId → { summary, images, finished } : les devoirs gardent leur propre copie des questions,
+  // finished associe chaque tentative à son état (terminée ou non) pour compter les participants
+  let assignmentIndex = null;
+  function loadAssignments() {
+    if (assignmentIndex) return assignmentIndex;
+    assignmentIndex = new Map();
+    fs.readdirSync(assignmentDir).filter(f => f.endsWith('.json')).forEach(f => {
+      try {
+        let assignment = JSON.parse(fs.readFileSync(path.join(assignmentDir, f), 'utf8'));
+        if (Array.isArray(assignment.attempts)) assignment = splitAttempts(assignment);
+        const finished = new Map(readAttempts(assignment.id).map(a => [a.id, !!a.finishedAt]));
+        assignmentIndex.set(assignment.id, { summary: assignmentSummary(assignment), images: quizImages(assignment), finished });
+      } catch { console.error(`[storage] Devoir illisible ignoré : ${f}`); }
+    });
+    return assignmentIndex;
+  }
+
+  function loadIndex() {
+    if (index) return index;
+    index = new Map();
+    fs.readdirSync(quizDir).filter(f => f.endsWith('.json')).forEach(f => {
+      try {
+        const raw  = fs.readFileSync(path.join(quizDir, f), 'utf8');
+        const quiz = JSON.parse(raw);
+        quiz.id    = quiz.id || f.replace('.json', '');
+        index.set(quiz.id, { summary: quizSummary(quiz, Buffer.byteLength(raw)), images: quizImages(quiz), search: quizSearchText(quiz) });
+      } catch (e) { console.error(`[storage] Quiz illisible ignoré : ${f}`); }
+    });
+    return index;
+  }
+
+  const quizzes = {
+    list() {
+      return [...loadIndex().values()].map(e => e.summary);
+    },
+    // Tous les termes doivent apparaître ; tag et langue exacts ; du plus récemment modifié au plus ancien
+    search({ text, tag, language, visibility, offset = 0, limit = 20 } = {}) {
+      const terms = searchTerms(text);
+      const tagKey = tag ? normalizeText(tag) : null;
+      const found = [...loadIndex().values()]
+        .filter(e => !visibility || e.summary.visibility === visibility)
+        .filter(e => !language || e.summary.language === language)
+        .filter(e => !tagKey || e.summary.tags.some(t => normalizeText(t) === tagKey))
+        .filter(e => terms.every(t => e.search.includes(t)))
+        .map(e => e.summary)
+        .sort(recentFirst);
+      return { total: found.length, quizzes: found.slice(offset, offset + limit) };
+    },
+    get(id) {
+      const file = fileFor(id);
+      if (!fs.existsSync(file)) return null;
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    },
+    save(quiz) {
+      const raw = JSON.stringify(quiz, null, 2);
+      writeAtomic(fileFor(quiz.id), raw);
+      loadIndex().set(quiz.id, { summary: quizSummary(quiz, Buffer.byteLength(raw)), images: quizImages(quiz), search: quizSearchText(quiz) });
+      return quiz;
+    },
+    remove(id) {
+      const file = fileFor(id);
+      loadIndex().delete(id);
+      if (!fs.existsSync(file)) return false;
+      fs.unlinkSync(file);
+      return true;
+    },
+    imagesInUse() {
+      const used = new Set();
+      loadIndex().forEach(e => e.images.forEach(name => used.add(name)));
+      loadRevisionImages().forEach(images => images.forEach(name => used.add(name)));
+      loadBankImages().forEach(images => images.forEach(name => used.add(name)));
+      loadAssignments().forEach(e => e.images.forEach(name => used.add(name)));
+      return used;
+    },
+  };
+
+  // Les métadonnées d'image sont celles du fichier lui-même
+  const uploads = {
+    add() {},
+    list() {
+      return fs.readdirSync(uploadDir).map(name => {
+        const stat = fs.statSync(path.join(uploadDir, name));
+        return { name, size: stat.size, createdAt: stat.mtime.toISOString() };
+      });
+    },
+    remove() {},
+  };
+
+  const results = {
+    list(quizId) {
+      const dir = path.join(resultsDir, quizId);
+      if (!SAFE_ID.test(quizId) || !fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => {
+        try { return resultSummary(JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'))); }
+        catch { return null; }
+      }).filter(Boolean);
+    },
+    get(quizId, resultId) {
+      if (!SAFE_ID.test(quizId) || !SAFE_ID.test(resultId)) return null;
+      const file = path.join(resultsDir, quizId, `${resultId}.json`);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    },
+    save(result) {
+      if (!SAFE_ID.test(result.quizId) || !SAFE_ID.test(result.id)) throw new Error('Identifiant invalide');
+      const dir = path.join(resultsDir, result.quizId);
+      ensureDir(dir);
+      writeAtomic(path.join(dir, `${result.id}.json`), JSON.stringify(result, null, 2));
+    },
+    removeForQuiz(quizId) {
+      if (!SAFE_ID.test(quizId)) return;
+      fs.rmSync(path.join(resultsDir, quizId), { recursive: true, force: true });
+    },
+  };
+
+  const revisions = {
+    list(quizId) {
+      const dir = path.join(historyDir, quizId);
+      if (!SAFE_ID.test(quizId) || !fs.existsSync(dir)) return [];
+      return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => {
+        try { return revisionSummary(JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'))); }
+        catch { return null; }
+      }).filter(Boolean).sort(newestFirst);
+    },
+    get(quizId, id) {
+      if (!SAFE_ID.test(quizId) || !SAFE_ID.test(id)) return null;
+      const file = revisionFile(quizId, id);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    },
+    save(revision) {
+      const file = revisionFile(revision.quizId, revision.id);
+      ensureDir(path.dirname(file));
+      writeAtomic(file, JSON.stringify(revision, null, 2));
+      loadRevisionImages().set(`${revision.quizId}/${revision.id}`, quizImages(revision.quiz));
+    },
+    remove(quizId, id) {
+      const file = revisionFile(quizId, id);
+      loadRevisionImages().delete(`${quizId}/${id}`);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    },
+    removeForQuiz(quizId) {
+      if (!SAFE_ID.test(quizId)) return;
+      loadRevisionImages().forEach((_, key) => { if (key.startsWith(`${quizId}/`)) revisionImages.delete(key); });
+      fs.rmSync(path.join(historyDir, quizId), { recursive: true, force: true });
+    },
+  };
+
+  const banks = {
+    get(id) {
+      if (!SAFE_ID.test(id)) return null;
+      const file = bankFile(id);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    },
+    save(bank) {
+      writeAtomic(bankFile(bank.id), JSON.stringify(bank, null, 2));
+      loadBankImages().set(bank.id, quizImages(bank));
+      return bank;
+    },
+  };
+
+  const assignments = {
+    list(quizId) {
+      return [...loadAssignments().values()]
+        .filter(e => e.summary.quizId === quizId)
+        .map(e => ({ ...e.summary, participants: e.finished.size, finished: [...e.finished.values()].filter(Boolean).length }))
+        .sort(newestFirst);
+    },
+    get(id) {
+      if (!SAFE_ID.test(id) || !loadAssignments().has(id)) return null;
+      return JSON.parse(fs.readFileSync(assignmentFile(id), 'utf8'));
+    },
+    save(assignment) {
+      writeAtomic(assignmentFile(assignment.id), JSON.stringify(assignment, null, 2));
+      const entry = loadAssignments().get(assignment.id);
+      loadAssignments().set(assignment.id, {
+        summary:  assignmentSummary(assignment),
+        images:   quizImages(assignment),
+        finished: entry ? entry.finished : new Map(),
+      });
+      return assignment;
+    },
+    remove(id) {
+      const file = assignmentFile(id);
+      loadAssignments().delete(id);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+      fs.rmSync(path.join(assignmentDir, id), { recursive: true, force: true });
+    },
+    removeForQuiz(quizId) {
+      assignments.list(quizId).forEach(a => assignments.remove(a.id));
+    },
+  };
+
+  // Une tentative par fichier : la réponse d'un élève ne réécrit ni le devoir ni les autres élèves
+  const attempts = {
+    list(assignmentId) {
+      if (!SAFE_ID.test(assignmentId) || !loadAssignments().has(assignmentId)) return [];
+      return readAttempts(assignmentId);
+    },
+    get(assignmentId, id) {
+      if (!SAFE_ID.test(assignmentId) || !SAFE_ID.test(id) || !loadAssignments().has(assignmentId)) return null;
+      const file = attemptFile(assignmentId, id);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    },
+    save(assignmentId, attempt) {
+      const entry = loadAssignments().get(assignmentId);
+      if (!entry) throw new Error('Devoir introuvable');
+      writeAttempt(assignmentId, attempt);
+      entry.finished.set(attempt.id, !!attempt.finishedAt);
+      return attempt;
+    },
+  };
+
+  const liveGames = {
+    list() {
+      return fs.readdirSync(gameDir).filter(f => /^\d{6}\.json$/.test(f)).map(f => {
+        try { return JSON.parse(fs.readFileSync(path.join(gameDir, f), 'utf8')); }
+        catch { console.error(`[storage] Partie illisible ignorée : ${f}`); return null; }
+      }).filter(Boolean);
+    },
+    save(snapshot) {
+      writeAtomic(gameFile(snapshot.pin), JSON.stringify(snapshot));
+    },
+    remove(pin) {
+      const file = gameFile(pin);
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    },
+  };
+
+  const settings = {
+    get(name) {
+      const file = settingsFile(name);
+      return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    },
+    save(name, value) {
+      writeAtomic(settingsFile(name), JSON.stringify(value, null, 2));
+    },
+  };
+
+  return {
+    kind: 'json', quizzes, uploads, results, revisions, banks, assignments, attempts, liveGames, settings,
+    // Un seul processus et des appels synchrones : rien ne s'intercale entre lecture et écriture
+    transaction: fn => fn(),
+    close() {},
+  };
+}
+
+module.exports = {
+  createJsonStore, quizSummary, resultSummary, revisionSummary, assignmentSummary, quizImages,
+  normalizeText, quizSearchText, searchTerms,
+};
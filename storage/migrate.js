@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Importe un dossier quizzes/ existant (avec ses résultats, son historique, les banques de
+// questions, les devoirs, les réglages et les images) dans le stockage configuré. Sans STORAGE,
+// la cible est SQLite.
+//
+//   npm run migrate                        → ./quizzes, ./results vers data/kahut.db
+//   npm run migrate -- /ancien/quizzes     → autre dossier source (results/, history/, banks/, assignments/ à côté)
+//   STORAGE=sqlite SQLITE_FILE=/srv/kahut.db npm run migrate
+//
+// Relancer la commande est sans risque : les quiz et résultats déjà présents sont remplacés.
+
+const fs   = require('fs');
+const path = require('path');
+const { createStore, storageConfig } = require('./index');
+
+function readJsonDir(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => {
+    try { return { file: f, data: JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')) }; }
+    catch { console.warn(`  ⚠ Fichier illisible ignoré : ${path.join(dir, f)}`); return null; }
+  }).filter(Boolean);
+}
+
+function migrate(sourceDir, config) {
+  const resultsDir    = path.join(path.dirname(sourceDir), 'results');
+  const historyDir    = path.join(path.dirname(sourceDir), 'history');
+  const bankDir       = path.join(path.dirname(sourceDir), 'banks');
+  const assignmentDir = path.join(path.dirname(sourceDir), 'assignments');
+  const settingsDir   = path.join(path.dirname(sourceDir), 'data', 'settings');
+  if (!fs.existsSync(sourceDir)) throw new Error(`Dossier introuvable : ${sourceDir}`);
+  if (config.kind === 'json' && path.resolve(sourceDir) === path.resolve(config.quizDir))
+    throw new Error('La source est déjà le stockage JSON configuré (définir STORAGE=sqlite)');
+
+  const store  = createStore(config);
+  const counts = { quizzes: 0, results: 0, revisions: 0, banks: 0, assignments: 0, settings: 0, uploads: 0 };
+  try {
+    readJsonDir(sourceDir).forEach(({ file, data }) => {
+      if (!Array.isArray(data.questions)) return console.warn(`  ⚠ Pas un quiz, ignoré : ${file}`);
+      store.quizzes.save({ ...data, id: data.id || file.replace('.json', '') });
+      counts.quizzes++;
+
+      readJsonDir(path.join(resultsDir, file.replace('.json', ''))).forEach(({ data: result }) => {
+        store.results.save(result);
+        counts.results++;
+      });
+
+      readJsonDir(path.join(historyDir, file.replace('.json', ''))).forEach(({ data: revision }) => {
+        store.revisions.save(revision);
+        counts.revisions++;
+      });
+    });
+
+    readJsonDir(bankDir).forEach(({ data: bank }) => {
+      store.banks.save(bank);
+      counts.banks++;
+    });
+
+    // Tentatives dans assignments/<id>/, ou dans le document du devoir pour les plus anciens
+    readJsonDir(assignmentDir).forEach(({ data: { attempts = [], ...assignment } }) => {
+      store.assignments.save(assignment);
+      [...attempts, ...readJsonDir(path.join(assignmentDir, assignment.id)).map(e => e.data)]
+        .forEach(attempt => store.attempts.save(assignment.id, attempt));
+      counts.assignments++;
+    });
+
+    readJsonDir(settingsDir).forEach(({ file, data }) => {
+      store.settings.save(file.replace('.json', ''), data);
+      counts.settings++;
+    });
+
+    if (fs.existsSync(config.uploadDir)) {
+      fs.readdirSync(config.uploadDir).forEach(name => {
+        const stat = fs.statSync(path.join(config.uploadDir, name));
+        store.uploads.add({ name, size: stat.size, createdAt: stat.mtime.toISOString() });
+        counts.uploads++;
+      });
+    }
+  } finally {
+    store.close();
+  }
+  return counts;
+}
+
+if (require.main === module) {
+  const config = storageConfig({ ...process.env, STORAGE: process.env.STORAGE || 'sqlite' });
+  const source = path.resolve(process.argv[2] || config.quizDir);
+  try {
+    console.log(`[migrate] ${source} → ${config.kind}${config.kind === 'sqlite' ? ` (${config.file})` : ''}`);
+    const counts = migrate(source, config);
+    console.log(`[migrate] ✅ ${counts.quizzes} quiz, ${counts.results} résultat(s), ${counts.revisions} version(s), ${counts.banks} banque(s), ${counts.assignments} devoir(s), ${counts.settings} réglage(s), ${counts.uploads} image(s)`);
+  } catch (e) {
+    console.error(`[migrate] ❌ ${e.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { migrate };
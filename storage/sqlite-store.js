@@ -0,0 +1,368 @@
+// Stockage SQLite embarqué (better-sqlite3) : un seul fichier de base, écritures
+// transactionnelles. Le quiz et le résultat complets sont stockés en JSON ; les
+// colonnes à côté servent aux listes sans avoir à tout désérialiser.
+// Les images restent des fichiers dans public/uploads, seules leurs métadonnées sont ici.
+
+const fs       = require('fs');
+const path     = require('path');
+const Database = require('better-sqlite3');
+const {
+  quizSummary, resultSummary, revisionSummary, assignmentSummary, quizImages, normalizeText, quizSearchText, searchTerms,
+} = require('./json-store');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS quizzes (
+    id             TEXT PRIMARY KEY,
+    name           TEXT NOT NULL,
+    data           TEXT NOT NULL,
+    question_count INTEGER NOT NULL,
+    has_images     INTEGER NOT NULL,
+    size           INTEGER NOT NULL,
+    created_at     TEXT,
+    updated_at     TEXT,
+    last_used_at   TEXT,
+    description    TEXT,
+    tags           TEXT,
+    language       TEXT,
+    visibility     TEXT,
+    tag_keys       TEXT,
+    search_text    TEXT
+  );
+  CREATE TABLE IF NOT EXISTS quiz_images (
+    quiz_id TEXT NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+    name    TEXT NOT NULL,
+    PRIMARY KEY (quiz_id, name)
+  );
+  CREATE TABLE IF NOT EXISTS uploads (
+    name       TEXT PRIMARY KEY,
+    size       INTEGER NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS results (
+    id      TEXT PRIMARY KEY,
+    quiz_id TEXT NOT NULL,
+    data    TEXT NOT NULL,
+    summary TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS results_quiz ON results(quiz_id);
+  CREATE TABLE IF NOT EXISTS banks (
+    id     TEXT PRIMARY KEY,
+    data   TEXT NOT NULL,
+    images TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS revisions (
+    quiz_id    TEXT NOT NULL,
+    id         TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data       TEXT NOT NULL,
+    summary    TEXT NOT NULL,
+    images     TEXT NOT NULL,
+    PRIMARY KEY (quiz_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS assignments (
+    id         TEXT PRIMARY KEY,
+    quiz_id    TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data       TEXT NOT NULL,
+    summary    TEXT NOT NULL,
+    images     TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS assignments_quiz ON assignments(quiz_id);
+  CREATE TABLE IF NOT EXISTS attempts (
+    assignment_id TEXT NOT NULL,
+    id            TEXT NOT NULL,
+    started_at    TEXT NOT NULL,
+    finished      INTEGER NOT NULL,
+    data          TEXT NOT NULL,
+    PRIMARY KEY (assignment_id, id)
+  );
+  CREATE TABLE IF NOT EXISTS live_games (
+    pin      TEXT PRIMARY KEY,
+    saved_at TEXT NOT NULL,
+    data     TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+`;
+
+// Colonnes apparues après la première version du schéma : ajoutées aux bases existantes
+const LIBRARY_COLUMNS = ['description', 'tags', 'language', 'visibility', 'tag_keys', 'search_text'];
+
+const QUIZ_COLUMNS = 'id, name, question_count, has_images, size, created_at, updated_at, last_used_at, description, tags, language, visibility';
+
+function rowSummary(r) {
+  return {
+    id:            r.id,
+    name:          r.name,
+    description:   r.description || '',
+    tags:          r.tags ? JSON.parse(r.tags) : [],
+    language:      r.language,
+    visibility:    r.visibility || 'private',
+    questionCount: r.question_count,
+    hasImages:     r.has_images === 1,
+    size:          r.size,
+    createdAt:     r.created_at,
+    updatedAt:     r.updated_at,
+    lastUsedAt:    r.last_used_at,
+  };
+}
+
+const escapeLike = str => str.replace(/[\\%_]/g, c => `\\${c}`);
+
+function createSqliteStore({ file }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+  const existingColumns = db.prepare('PRAGMA table_info(quizzes)').all().map(c => c.name);
+  const addedColumns    = LIBRARY_COLUMNS.filter(c => !existingColumns.includes(c));
+  addedColumns.forEach(c => db.exec(`ALTER TABLE quizzes ADD COLUMN ${c} TEXT`));
+
+  const stmt = {
+    listQuizzes:  db.prepare(`SELECT ${QUIZ_COLUMNS} FROM quizzes`),
+    allQuizData:  db.prepare('SELECT data FROM quizzes'),
+    getQuiz:      db.prepare('SELECT data FROM quizzes WHERE id = ?'),
+    upsertQuiz:   db.prepare(`INSERT INTO quizzes (id, name, data, question_count, has_images, size, created_at, updated_at, last_used_at,
+                                description, tags, language, visibility, tag_keys, search_text)
+                              VALUES (@id, @name, @data, @questionCount, @hasImages, @size, @createdAt, @updatedAt, @lastUsedAt,
+                                @description, @tags, @language, @visibility, @tagKeys, @searchText)
+                              ON CONFLICT(id) DO UPDATE SET name = excluded.name, data = excluded.data,
+                                question_count = excluded.question_count, has_images = excluded.has_images, size = excluded.size,
+                                created_at = excluded.created_at, updated_at = excluded.updated_at, last_used_at = excluded.last_used_at,
+                                description = excluded.description, tags = excluded.tags, language = excluded.language,
+                                visibility = excluded.visibility, tag_keys = excluded.tag_keys, search_text = excluded.search_text`),
+    deleteQuiz:   db.prepare('DELETE FROM quizzes WHERE id = ?'),
+    clearImages:  db.prepare('DELETE FROM quiz_images WHERE quiz_id = ?'),
+    addImage:     db.prepare('INSERT OR IGNORE INTO quiz_images (quiz_id, name) VALUES (?, ?)'),
+    usedImages:   db.prepare('SELECT DISTINCT name FROM quiz_images'),
+    addUpload:    db.prepare('INSERT OR REPLACE INTO uploads (name, size, created_at) VALUES (@name, @size, @createdAt)'),
+    listUploads:  db.prepare('SELECT name, size, created_at AS createdAt FROM uploads'),
+    deleteUpload: db.prepare('DELETE FROM uploads WHERE name = ?'),
+    listResults:  db.prepare('SELECT summary FROM results WHERE quiz_id = ?'),
+    getResult:    db.prepare('SELECT data FROM results WHERE quiz_id = ? AND id = ?'),
+    saveResult:   db.prepare('INSERT OR REPLACE INTO results (id, quiz_id, data, summary) VALUES (?, ?, ?, ?)'),
+    deleteResults: db.prepare('DELETE FROM results WHERE quiz_id = ?'),
+    listRevisions:  db.prepare('SELECT summary FROM revisions WHERE quiz_id = ? ORDER BY created_at DESC'),
+    getRevision:    db.prepare('SELECT data FROM revisions WHERE quiz_id = ? AND id = ?'),
+    saveRevision:   db.prepare('INSERT OR REPLACE INTO revisions (quiz_id, id, created_at, data, summary, images) VALUES (?, ?, ?, ?, ?, ?)'),
+    deleteRevision: db.prepare('DELETE FROM revisions WHERE quiz_id = ? AND id = ?'),
+    deleteRevisions: db.prepare('DELETE FROM revisions WHERE quiz_id = ?'),
+    revisionImages: db.prepare('SELECT images FROM revisions'),
+    getBank:        db.prepare('SELECT data FROM banks WHERE id = ?'),
+    saveBank:       db.prepare('INSERT OR REPLACE INTO banks (id, data, images) VALUES (?, ?, ?)'),
+    bankImages:     db.prepare('SELECT images FROM banks'),
+    listAssignments:   db.prepare(`SELECT a.summary, COUNT(t.id) AS participants, COALESCE(SUM(t.finished), 0) AS finished
+                                   FROM assignments a LEFT JOIN attempts t ON t.assignment_id = a.id
+                                   WHERE a.quiz_id = ? GROUP BY a.id ORDER BY a.created_at DESC`),
+    getAssignment:     db.prepare('SELECT data FROM assignments WHERE id = ?'),
+    saveAssignment:    db.prepare('INSERT OR REPLACE INTO assignments (id, quiz_id, created_at, data, summary, images) VALUES (?, ?, ?, ?, ?, ?)'),
+    deleteAssignment:  db.prepare('DELETE FROM assignments WHERE id = ?'),
+    deleteAssignments: db.prepare('DELETE FROM assignments WHERE quiz_id = ?'),
+    assignmentImages:  db.prepare('SELECT images FROM assignments'),
+    legacyAssignments: db.prepare("SELECT data FROM assignments WHERE json_type(data, '$.attempts') = 'array'"),
+    listAttempts:      db.prepare('SELECT data FROM attempts WHERE assignment_id = ? ORDER BY started_at'),
+    getAttempt:        db.prepare('SELECT data FROM attempts WHERE assignment_id = ? AND id = ?'),
+    saveAttempt:       db.prepare('INSERT OR REPLACE INTO attempts (assignment_id, id, started_at, finished, data) VALUES (?, ?, ?, ?, ?)'),
+    deleteAttempts:    db.prepare('DELETE FROM attempts WHERE assignment_id = ?'),
+    deleteQuizAttempts: db.prepare('DELETE FROM attempts WHERE assignment_id IN (SELECT id FROM assignments WHERE quiz_id = ?)'),
+    listLiveGames:     db.prepare('SELECT pin, data FROM live_games'),
+    saveLiveGame:      db.prepare('INSERT OR REPLACE INTO live_games (pin, saved_at, data) VALUES (?, ?, ?)'),
+    deleteLiveGame:    db.prepare('DELETE FROM live_games WHERE pin = ?'),
+    getSetting:        db.prepare('SELECT data FROM settings WHERE name = ?'),
+    saveSetting:       db.prepare('INSERT OR REPLACE INTO settings (name, data) VALUES (?, ?)'),
+  };
+
+  const saveQuiz = db.transaction(quiz => {
+    const data    = JSON.stringify(quiz);
+    const summary = quizSummary(quiz, Buffer.byteLength(data));
+    stmt.upsertQuiz.run({
+      ...summary,
+      data,
+      hasImages:  summary.hasImages ? 1 : 0,
+      tags:       JSON.stringify(summary.tags),
+      tagKeys:    `|${summary.tags.map(normalizeText).join('|')}|`,
+      searchText: quizSearchText(quiz),
+    });
+    stmt.clearImages.run(quiz.id);
+    quizImages(quiz).forEach(name => stmt.addImage.run(quiz.id, name));
+  });
+
+  // Base créée avant l'ajout des colonnes : on les remplit à partir du quiz complet
+  if (addedColumns.length) db.transaction(() => stmt.allQuizData.all().forEach(r => saveQuiz(JSON.parse(r.data))))();
+
+  const quizzes = {
+    list() {
+      return stmt.listQuizzes.all().map(rowSummary);
+    },
+    search({ text, tag, language, visibility, offset = 0, limit = 20 } = {}) {
+      const where = [], params = [];
+      if (visibility) { where.push('visibility = ?'); params.push(visibility); }
+      if (language)   { where.push('language = ?'); params.push(language); }
+      if (tag)        { where.push("tag_keys LIKE ? ESCAPE '\\'"); params.push(`%|${escapeLike(normalizeText(tag))}|%`); }
+      searchTerms(text).forEach(t => { where.push("search_text LIKE ? ESCAPE '\\'"); params.push(`%${escapeLike(t)}%`); });
+      const clause = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const total  = db.prepare(`SELECT COUNT(*) AS n FROM quizzes ${clause}`).get(...params).n;
+      const rows   = db.prepare(`SELECT ${QUIZ_COLUMNS} FROM quizzes ${clause}
+                                 ORDER BY COALESCE(updated_at, created_at) DESC LIMIT ? OFFSET ?`).all(...params, limit, offset);
+      return { total, quizzes: rows.map(rowSummary) };
+    },
+    get(id) {
+      const row = stmt.getQuiz.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(quiz) {
+      saveQuiz(quiz);
+      return quiz;
+    },
+    remove(id) {
+      return stmt.deleteQuiz.run(id).changes > 0;
+    },
+    imagesInUse() {
+      const used = new Set(stmt.usedImages.all().map(r => r.name));
+      [...stmt.revisionImages.all(), ...stmt.bankImages.all(), ...stmt.assignmentImages.all()].forEach(r => JSON.parse(r.images).forEach(name => used.add(name)));
+      return used;
+    },
+  };
+
+  const uploads = {
+    add(meta) { stmt.addUpload.run(meta); },
+    list()    { return stmt.listUploads.all(); },
+    remove(name) { stmt.deleteUpload.run(name); },
+  };
+
+  const results = {
+    list(quizId) {
+      return stmt.listResults.all(quizId).map(r => JSON.parse(r.summary));
+    },
+    get(quizId, resultId) {
+      const row = stmt.getResult.get(quizId, resultId);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(result) {
+      stmt.saveResult.run(result.id, result.quizId, JSON.stringify(result), JSON.stringify(resultSummary(result)));
+    },
+    removeForQuiz(quizId) {
+      stmt.deleteResults.run(quizId);
+    },
+  };
+
+  const revisions = {
+    list(quizId) {
+      return stmt.listRevisions.all(quizId).map(r => JSON.parse(r.summary));
+    },
+    get(quizId, id) {
+      const row = stmt.getRevision.get(quizId, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(revision) {
+      stmt.saveRevision.run(revision.quizId, revision.id, revision.createdAt, JSON.stringify(revision),
+        JSON.stringify(revisionSummary(revision)), JSON.stringify(quizImages(revision.quiz)));
+    },
+    remove(quizId, id) {
+      stmt.deleteRevision.run(quizId, id);
+    },
+    removeForQuiz(quizId) {
+      stmt.deleteRevisions.run(quizId);
+    },
+  };
+
+  const banks = {
+    get(id) {
+      const row = stmt.getBank.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(bank) {
+      stmt.saveBank.run(bank.id, JSON.stringify(bank), JSON.stringify(quizImages(bank)));
+      return bank;
+    },
+  };
+
+  const saveAttempt = (assignmentId, attempt) =>
+    stmt.saveAttempt.run(assignmentId, attempt.id, attempt.startedAt, attempt.finishedAt ? 1 : 0, JSON.stringify(attempt));
+
+  const saveAssignment = assignment =>
+    stmt.saveAssignment.run(assignment.id, assignment.quizId, assignment.createdAt, JSON.stringify(assignment),
+      JSON.stringify(assignmentSummary(assignment)), JSON.stringify(quizImages(assignment)));
+
+  // Devoirs enregistrés avec leurs tentatives dans le même document : chacune passe dans sa ligne
+  db.transaction(() => stmt.legacyAssignments.all().forEach(r => {
+    const { attempts: legacy, ...assignment } = JSON.parse(r.data);
+    legacy.forEach(a => saveAttempt(assignment.id, a));
+    saveAssignment(assignment);
+  }))();
+
+  const assignments = {
+    list(quizId) {
+      return stmt.listAssignments.all(quizId).map(r => ({ ...JSON.parse(r.summary), participants: r.participants, finished: r.finished }));
+    },
+    get(id) {
+      const row = stmt.getAssignment.get(id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(assignment) {
+      saveAssignment(assignment);
+      return assignment;
+    },
+    remove: db.transaction(id => {
+      stmt.deleteAttempts.run(id);
+      stmt.deleteAssignment.run(id);
+    }),
+    removeForQuiz: db.transaction(quizId => {
+      stmt.deleteQuizAttempts.run(quizId);
+      stmt.deleteAssignments.run(quizId);
+    }),
+  };
+
+  // Une ligne par tentative : la réponse d'un élève ne réécrit ni le devoir ni les autres élèves
+  const attempts = {
+    list(assignmentId) {
+      return stmt.listAttempts.all(assignmentId).map(r => JSON.parse(r.data));
+    },
+    get(assignmentId, id) {
+      const row = stmt.getAttempt.get(assignmentId, id);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(assignmentId, attempt) {
+      saveAttempt(assignmentId, attempt);
+      return attempt;
+    },
+  };
+
+  const liveGames = {
+    list() {
+      return stmt.listLiveGames.all().map(r => {
+        try { return JSON.parse(r.data); }
+        catch { console.error(`[storage] Partie illisible ignorée : ${r.pin}`); return null; }
+      }).filter(Boolean);
+    },
+    save(snapshot) {
+      stmt.saveLiveGame.run(snapshot.pin, snapshot.savedAt, JSON.stringify(snapshot));
+    },
+    remove(pin) {
+      stmt.deleteLiveGame.run(pin);
+    },
+  };
+
+  const settings = {
+    get(name) {
+      const row = stmt.getSetting.get(name);
+      return row ? JSON.parse(row.data) : null;
+    },
+    save(name, value) {
+      stmt.saveSetting.run(name, JSON.stringify(value));
+    },
+  };
+
+  return {
+    kind: 'sqlite', quizzes, uploads, results, revisions, banks, assignments, attempts, liveGames, settings,
+    // BEGIN IMMEDIATE : le verrou d'écriture est pris avant la première lecture, une autre instance
+    // sur la même base attend son tour (jusqu'à 5 s) au lieu d'écraser ce qui vient d'être lu
+    transaction: fn => db.transaction(fn).immediate(),
+    close() { db.close(); },
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,72 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createFilter, hasBadWord, hasOffensiveContent, addTerm, removeTerm } = require('../badwords');
+
+test('un terme ne bloque pas les mots qui le contiennent', () => {
+  for (const name of ['Constance', 'Nicolas Conte', 'Michelle', 'Sobral', 'Assia', 'Bastien', 'Glandier'])
+    assert.equal(hasBadWord(name), false, name);
+  for (const name of ['con', 'Le Con', 'JeanMerde', 'gros-porc'])
+    assert.equal(hasBadWord(name), true, name);
+});
+
+test('leetspeak et accents', () => {
+  for (const name of ['c0nnard', '$alope', 'p3d3', 'fuck3r', 'Pédé', 'ENCULÉ', 'sh!t'])
+    assert.equal(hasBadWord(name), true, name);
+});
+
+test('lettres espacées ou séparées', () => {
+  for (const name of ['f u c k', 'p.u.t.e', 'm-e-r-d-e', 'Jean m e r d e'])
+    assert.equal(hasBadWord(name), true, name);
+  assert.equal(hasBadWord('J P Sartre'), false);
+});
+
+test('lettres répétées réduites, sauf pour les mots autorisés tels quels', () => {
+  for (const name of ['fuuuck', 'merrrde', 'cooon', 'biiite', 'niiigga'])
+    assert.equal(hasBadWord(name), true, name);
+  for (const name of ['Bitte', 'Coon', 'Bette', 'Nigel', 'Knight', 'niggle', 'as', 'Anna'])
+    assert.equal(hasBadWord(name), false, name);
+});
+
+test('liste autorisée : mot exact uniquement', () => {
+  const filter = createFilter({ blocked: ['bite', 'dick', '*fuck*'], allowed: ['bitte', 'dick', 'fuchsia'] });
+  assert.equal(filter.hasBadWord('Bitte'), false);
+  assert.equal(filter.hasBadWord('biiite'), true);
+  assert.equal(filter.hasBadWord('Dick Rivers'), false);
+  assert.equal(filter.hasBadWord('diiick'), true);
+  assert.equal(filter.hasBadWord('fuchsia'), false);
+});
+
+test('expressions et jokers', () => {
+  const filter = createFilter({ blocked: ['ta gueule', 'encul*', '*fuck*'] });
+  assert.equal(filter.hasBadWord('Ta Gueule'), true);
+  assert.equal(filter.hasBadWord('ta belle gueule'), false);
+  assert.equal(filter.hasBadWord('enculé'), true);
+  assert.equal(filter.hasBadWord('motherfucker'), true);
+  assert.deepEqual(filter.findBadWords('enculé de motherfucker'), ['encul*', '*fuck*']);
+});
+
+test('contenu des quiz : liste réduite aux injures', () => {
+  for (const name of ['La vache et le lait', 'Cancer du sein', 'Les nazis', 'Le gland du chêne', 'Porc ou sanglier ?'])
+    assert.equal(hasOffensiveContent(name), false, name);
+  for (const name of ['Fils de pute', 'f u c k', 'connaaard'])
+    assert.equal(hasOffensiveContent(name), true, name);
+});
+
+test('réponses projetées : listes complètes, ajouts de l\'administration compris', () => {
+  for (const answer of ['merde', 'shit bitch', 'bite', 'couilles', 'dick', 'nique', 'ta gueule', 'pd', 'tg'])
+    assert.equal(hasBadWord(answer), true, answer);
+
+  addTerm('blocked', 'zorglub');
+  addTerm('allowed', 'vache');
+  try {
+    assert.equal(hasBadWord('Zorglub'), true);
+    assert.equal(hasBadWord('vache'), false, 'faux positif réglé par les mots autorisés');
+    assert.equal(hasBadWord('vaaache'), true);
+  } finally {
+    removeTerm('blocked', 'zorglub');
+    removeTerm('allowed', 'vache');
+  }
+  assert.equal(hasBadWord('Zorglub'), false);
+  assert.equal(hasBadWord('vache'), true);
+});
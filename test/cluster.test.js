@@ -0,0 +1,261 @@
+const test      = require('node:test');
+const assert    = require('node:assert/strict');
+const WebSocket = require('ws');
+
+const { createCluster, clusterConfig } = require('../cluster');
+const { createFakeRedis } = require('../cluster/fake-redis');
+const { createRelay } = require('../cluster/relay');
+
+// Messages Redis livrés au tour suivant de la boucle d'événements ; un aller-retour en demande plusieurs
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// Deux instances (ou plus) reliées par le même faux Redis, avec une horloge que l'essai avance
+function createNetwork() {
+  let clock = Date.now();
+  const now       = () => clock;
+  const redis     = createFakeRedis({ now });
+  const snapshots = new Set(); // codes des parties enregistrées dans le stockage partagé
+  const instances = [];
+
+  function instance(instanceId) {
+    const cluster = createCluster({ ...clusterConfig({}), kind: 'redis', instanceId }, { createClient: redis.createClient, now });
+    const games   = new Set();
+    const node    = { cluster, games, received: [], clients: [], closed: [] };
+    node.relay = createRelay({
+      cluster,
+      isLocal: pin => games.has(pin),
+      handleMessage(ws, msg) {
+        node.received.push(msg);
+        if (!node.clients.includes(ws)) node.clients.push(ws);
+        ws.send(JSON.stringify({ type: 'ack', n: msg.n, from: instanceId }));
+      },
+      handleClose(ws) { node.closed.push(ws); },
+      async adoptGames(pins) {
+        const adopted = [];
+        for (const pin of snapshots) {
+          if ((pins && !pins.includes(pin)) || games.has(pin)) continue;
+          if (!(await cluster.claimPin(pin))) continue;
+          games.add(pin);
+          adopted.push(pin);
+        }
+        return adopted;
+      },
+    });
+    // Partie créée sur cette instance et enregistrée
+    node.host = async pin => {
+      assert.equal(await cluster.claimPin(pin), true);
+      games.add(pin);
+      snapshots.add(pin);
+    };
+    instances.push(node);
+    return node;
+  }
+
+  // Socket d'un client connecté à node ; sa fermeture est signalée au relais comme le fait le serveur
+  function socket(node) {
+    const ws = {
+      readyState: WebSocket.OPEN,
+      sent:       [],
+      closedWith: null,
+      send(data) { ws.sent.push(JSON.parse(data)); },
+      close(code, reason) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.readyState = WebSocket.CLOSED;
+        ws.closedWith = { code, reason };
+        node.relay.routeClose(ws);
+      },
+    };
+    return ws;
+  }
+
+  return {
+    instance,
+    socket,
+    advance(ms) { clock += ms; },
+    close: () => Promise.all(instances.map(node => node.cluster.close())),
+  };
+}
+
+test('un code PIN n\'est réservé que par une instance à la fois', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+  await settle();
+
+  assert.equal(await a.cluster.claimPin('123456'), true);
+  assert.equal(await b.cluster.claimPin('123456'), false);
+  assert.equal(await b.cluster.ownerOf('123456'), 'a');
+  assert.deepEqual((await b.cluster.instances()).sort(), ['a', 'b']);
+
+  await b.cluster.releasePin('123456');
+  assert.equal(await a.cluster.ownerOf('123456'), 'a', 'seul le propriétaire libère un code');
+  await a.cluster.releasePin('123456');
+  assert.equal(await b.cluster.claimPin('123456'), true);
+  await net.close();
+});
+
+test('requêtes entre instances : réponse, requête inconnue, erreur du destinataire', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+  a.cluster.handle('list_games', (payload, from) => ({ games: ['111111'], payload, from }));
+  a.cluster.handle('end_game', () => { throw new Error('Partie introuvable'); });
+
+  assert.deepEqual(await b.cluster.request('a', 'list_games', { pin: '111111' }), { games: ['111111'], payload: { pin: '111111' }, from: 'b' });
+  await assert.rejects(b.cluster.request('a', 'nope'), /Requête inconnue : nope/);
+  await assert.rejects(b.cluster.request('a', 'end_game'), /Partie introuvable/);
+  await net.close();
+});
+
+test('sessions d\'administration valables sur toutes les instances', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+
+  await a.cluster.addSession('jeton', 60 * 1000);
+  assert.equal(await b.cluster.hasSession('jeton'), true);
+  assert.equal(await b.cluster.hasSession('autre'), false);
+  net.advance(61 * 1000);
+  assert.equal(await b.cluster.hasSession('jeton'), false);
+
+  await a.cluster.addSession('jeton', 60 * 1000);
+  await b.cluster.removeSession('jeton');
+  assert.equal(await a.cluster.hasSession('jeton'), false);
+  await net.close();
+});
+
+test('un client d\'une partie d\'une autre instance est relayé dans les deux sens', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+  await a.host('111111');
+  await b.host('222222');
+
+  // Connecté à b : les messages envoyés avant que le propriétaire soit connu attendent leur tour
+  const ws = net.socket(b);
+  b.relay.routeMessage(ws, { type: 'player_join', pin: '111111', n: 1 });
+  b.relay.routeMessage(ws, { type: 'answer', n: 2 });
+  await settle();
+  assert.deepEqual(a.received.map(m => m.n), [1, 2]);
+  assert.deepEqual(ws.sent, [{ type: 'ack', n: 1, from: 'a' }, { type: 'ack', n: 2, from: 'a' }]);
+  assert.equal(a.clients.length, 1, 'un seul représentant par connexion');
+
+  // Partie locale : traitée sur place, sans relais
+  const local = net.socket(b);
+  b.relay.routeMessage(local, { type: 'player_join', pin: '222222', n: 3 });
+  assert.deepEqual(b.received.map(m => m.n), [3]);
+  assert.deepEqual(local.sent, [{ type: 'ack', n: 3, from: 'b' }]);
+  await net.close();
+});
+
+test('fermeture d\'un client relayé, par lui-même ou par le propriétaire', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+  await a.host('111111');
+
+  const leaving = net.socket(b);
+  const kicked  = net.socket(b);
+  b.relay.routeMessage(leaving, { type: 'player_join', pin: '111111', n: 1 });
+  await settle();
+  b.relay.routeMessage(kicked, { type: 'player_join', pin: '111111', n: 2 });
+  await settle();
+  const [leavingClient, kickedClient] = a.clients;
+
+  leaving.close(1000, 'Au revoir');
+  await settle();
+  assert.deepEqual(a.closed, [leavingClient], 'le propriétaire voit le départ du client');
+  assert.equal(leavingClient.readyState, WebSocket.CLOSED);
+
+  // Exclusion : le socket réel est fermé avec le code choisi par le propriétaire
+  kickedClient.close(4001, 'Exclu');
+  await settle();
+  assert.deepEqual(kicked.closedWith, { code: 4001, reason: 'Exclu' });
+  assert.deepEqual(a.closed, [leavingClient, kickedClient]);
+  await net.close();
+});
+
+test('une instance qui s\'arrête laisse ses parties à une autre', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+  await a.host('111111');
+
+  const ws = net.socket(b);
+  b.relay.routeMessage(ws, { type: 'player_join', pin: '111111', n: 1 });
+  await settle();
+
+  // Arrêt de a : codes libérés puis annonce, comme dans shutdown()
+  a.relay.stop();
+  await a.cluster.releasePin('111111');
+  a.cluster.broadcast({ kind: 'instance_stopping', pins: ['111111'] });
+  await settle();
+
+  assert.equal(b.games.has('111111'), true);
+  assert.equal(await b.cluster.ownerOf('111111'), 'b');
+  assert.equal(ws.closedWith.code, 1012, 'le client relayé se reconnecte');
+
+  // Reconnexion : la partie est désormais locale à b
+  const again = net.socket(b);
+  b.relay.routeMessage(again, { type: 'player_rejoin', pin: '111111', n: 2 });
+  assert.deepEqual(b.received.map(m => m.n), [2]);
+  await net.close();
+});
+
+test('les parties d\'une instance disparue sans prévenir sont reprises', async () => {
+  const net = createNetwork();
+  const a   = net.instance('a');
+  const b   = net.instance('b');
+  await a.host('111111');
+
+  const ws = net.socket(b);
+  b.relay.routeMessage(ws, { type: 'player_join', pin: '111111', n: 1 });
+  // Un client de a joue une partie de b
+  await b.host('222222');
+  const remote = net.socket(a);
+  a.relay.routeMessage(remote, { type: 'player_join', pin: '222222', n: 2 });
+  await settle();
+  assert.deepEqual(b.received.map(m => m.n), [2]);
+
+  // Tant que le code de a n'a pas expiré, sa partie reste à a
+  await b.relay.checkInstances();
+  assert.equal(b.games.has('111111'), false);
+
+  // a ne donne plus signe de vie : son code et son inscription expirent
+  net.advance(61 * 1000);
+  await b.relay.checkInstances();
+  assert.equal(b.games.has('111111'), true);
+  assert.equal(await b.cluster.ownerOf('111111'), 'b');
+  assert.equal(ws.closedWith.code, 1012);
+  assert.equal(b.closed.length, 1, 'le client relayé par a est considéré comme parti');
+  await net.close();
+});
+
+test('une instance qui a laissé expirer ses codes les reprend, ou apprend qu\'ils sont perdus', async t => {
+  t.mock.timers.enable({ apis: ['setInterval'] }); // signaux de vie déclenchés par l'essai
+  const net  = createNetwork();
+  const a    = net.instance('a');
+  const b    = net.instance('b');
+  const lost = [];
+  a.cluster.onPinLost(pin => lost.push(pin));
+  await a.host('111111');
+  await a.host('222222');
+
+  // a bloquée plus d'une minute : b reprend l'une des parties, l'autre code reste libre
+  net.advance(61 * 1000);
+  assert.equal(await b.cluster.claimPin('111111'), true);
+  t.mock.timers.tick(10 * 1000);
+  await settle();
+
+  assert.deepEqual(lost, ['111111']);
+  assert.equal(await b.cluster.ownerOf('111111'), 'b');
+  assert.equal(await b.cluster.ownerOf('222222'), 'a');
+
+  // Code perdu : plus renouvelé ni libéré par a
+  t.mock.timers.tick(10 * 1000);
+  await a.cluster.releasePin('111111');
+  await settle();
+  assert.deepEqual(lost, ['111111']);
+  assert.equal(await b.cluster.ownerOf('111111'), 'b');
+  await net.close();
+});
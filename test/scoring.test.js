@@ -0,0 +1,90 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_SCORING, sanitizeScoring, partialCredit, streakBonus, scoreAnswer, withinTolerance, closestAnswers,
+} = require('../scoring');
+
+const rules = overrides => ({ ...DEFAULT_SCORING, ...overrides });
+
+test('sanitizeScoring garde les valeurs connues et remplace les autres', () => {
+  assert.deepEqual(sanitizeScoring(undefined), DEFAULT_SCORING);
+  assert.deepEqual(sanitizeScoring('flat'), DEFAULT_SCORING);
+  assert.deepEqual(
+    sanitizeScoring({ mode: 'flat', streak: true, partial: 'penalized', wrongPenalty: 250 }),
+    { mode: 'flat', streak: true, partial: 'penalized', wrongPenalty: 250 },
+  );
+  assert.deepEqual(
+    sanitizeScoring({ mode: 'turbo', streak: 'yes', partial: 'all', wrongPenalty: 42, extra: 1 }),
+    DEFAULT_SCORING,
+  );
+});
+
+test('partialCredit selon la politique de crédit partiel', () => {
+  const answer = { right: 2, wrong: 1, total: 4 };
+  assert.equal(partialCredit(rules({ partial: 'proportional' }), { right: 2, wrong: 0, total: 4 }), 0.5);
+  assert.equal(partialCredit(rules({ partial: 'proportional' }), answer), 0);
+  assert.equal(partialCredit(rules({ partial: 'penalized' }), answer), 0.25);
+  assert.equal(partialCredit(rules({ partial: 'penalized' }), { right: 1, wrong: 3, total: 4 }), 0);
+  assert.equal(partialCredit(rules({ partial: 'none' }), { right: 3, wrong: 0, total: 4 }), 0);
+  assert.equal(partialCredit(rules(), { right: 0, wrong: 0, total: 4 }), 0);
+  assert.equal(partialCredit(rules(), { right: 0, wrong: 0, total: 0 }), 0);
+});
+
+test('streakBonus à partir de la deuxième bonne réponse, plafonné', () => {
+  assert.equal(streakBonus(rules({ streak: false }), 5), 0);
+  assert.equal(streakBonus(rules({ streak: true }), 1), 0);
+  assert.equal(streakBonus(rules({ streak: true }), 2), 100);
+  assert.equal(streakBonus(rules({ streak: true }), 4), 300);
+  assert.equal(streakBonus(rules({ streak: true }), 20), 500);
+});
+
+test('scoreAnswer : rapidité, score fixe et multiplicateur', () => {
+  assert.deepEqual(scoreAnswer(rules(), { correct: true, timeLimit: 20, elapsed: 0 }), { points: 1000, bonus: 0, streak: 1 });
+  assert.deepEqual(scoreAnswer(rules(), { correct: true, timeLimit: 20, elapsed: 10 }), { points: 750, bonus: 0, streak: 1 });
+  // Réponse arrivée après la fin du chrono (latence tolérée) : jamais sous le minimum
+  assert.equal(scoreAnswer(rules(), { correct: true, timeLimit: 20, elapsed: 25 }).points, 500);
+  assert.equal(scoreAnswer(rules({ mode: 'flat' }), { correct: true, timeLimit: 20, elapsed: 19 }).points, 1000);
+  assert.equal(scoreAnswer(rules({ mode: 'flat' }), { correct: true, timeLimit: 20, elapsed: 0, multiplier: 2 }).points, 2000);
+  assert.equal(scoreAnswer(rules({ mode: 'flat' }), { correct: true, timeLimit: 20, elapsed: 0, multiplier: 0 }).points, 0);
+});
+
+test('scoreAnswer : série, bonus et remise à zéro', () => {
+  const streak = rules({ mode: 'flat', streak: true });
+  assert.deepEqual(scoreAnswer(streak, { correct: true, timeLimit: 20, elapsed: 0, streak: 2 }), { points: 1200, bonus: 200, streak: 3 });
+  assert.deepEqual(scoreAnswer(streak, { correct: true, timeLimit: 20, elapsed: 0, streak: 2, multiplier: 2 }), { points: 2400, bonus: 400, streak: 3 });
+  assert.deepEqual(scoreAnswer(streak, { correct: false, timeLimit: 20, elapsed: 0, streak: 4 }), { points: 0, bonus: 0, streak: 0 });
+  // Question sans bonne réponse (sondage) : la série est conservée
+  assert.deepEqual(scoreAnswer(streak, { correct: null, timeLimit: 20, elapsed: 0, streak: 4 }), { points: 0, bonus: 0, streak: 4 });
+});
+
+test('scoreAnswer : crédit partiel et pénalité', () => {
+  assert.deepEqual(scoreAnswer(rules(), { correct: false, credit: 0.5, timeLimit: 20, elapsed: 0 }), { points: 150, bonus: 0, streak: 0 });
+  assert.equal(scoreAnswer(rules({ wrongPenalty: 250 }), { correct: false, credit: 0.5, timeLimit: 20, elapsed: 0 }).points, 150);
+  assert.equal(scoreAnswer(rules({ wrongPenalty: 250 }), { correct: false, timeLimit: 20, elapsed: 0 }).points, -250);
+  assert.equal(scoreAnswer(rules({ wrongPenalty: 250 }), { correct: false, timeLimit: 20, elapsed: 0, multiplier: 2 }).points, -500);
+  assert.equal(scoreAnswer(rules(), { correct: false, timeLimit: 20, elapsed: 0 }).points, 0);
+});
+
+test('withinTolerance : bornes incluses, arrondis binaires absorbés', () => {
+  assert.equal(withinTolerance(42, 42, 0), true);
+  assert.equal(withinTolerance(42.5, 42, 0), false);
+  assert.equal(withinTolerance(45, 42, 3), true);
+  assert.equal(withinTolerance(39, 42, 3), true);
+  assert.equal(withinTolerance(45.01, 42, 3), false);
+  assert.equal(withinTolerance(1.1, 1, 0.1), true);
+  assert.equal(withinTolerance(0.1 + 0.2, 0.3, 0), true);
+  assert.equal(withinTolerance(-2.5, -2, 0.5), true);
+  assert.equal(withinTolerance(1e12 + 1, 1e12, 0), false);
+});
+
+test('closestAnswers : écart minimal, ex aequo et nombres négatifs', () => {
+  assert.deepEqual(closestAnswers([], 10), []);
+  assert.deepEqual(closestAnswers([3], 10), [true]);
+  assert.deepEqual(closestAnswers([8, 13, 10.5], 10), [false, false, true]);
+  // Même écart de part et d'autre de la réponse
+  assert.deepEqual(closestAnswers([8, 12, 15], 10), [true, true, false]);
+  assert.deepEqual(closestAnswers([0.9, 1.1, 1.3], 1), [true, true, false]);
+  assert.deepEqual(closestAnswers([10, 10, 11], 10), [true, true, false]);
+  assert.deepEqual(closestAnswers([-4, -6, 0], -5), [true, true, false]);
+});